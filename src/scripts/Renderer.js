@@ -4,8 +4,24 @@ import { toScreenCoords, toCartesianCoords } from './utils/coordinates.js';
 import * as Drawing from './drawing.js';
 import * as EventHandlers from './eventHandlers.js';
 import * as DirtyRegions from './dirtyRegions.js';
-import * as Elements from './elements.js';
-import { getElementScreenBounds } from './utils/interactionUtils.js';
+import { BUILT_IN_ELEMENT_TYPES, normalizeElementType } from './elementTypes.js';
+import { EventEmitter } from './utils/eventEmitter.js';
+import { CommandHistory, createAddElementCommand, createRemoveElementCommand, createPenSegmentCommand } from './history.js';
+import * as Camera from './camera.js';
+import { createMinimap } from './minimap.js';
+import { serializeDocument, parseDocument, isValidElementData } from './serialization.js';
+import { exportHTML } from './htmlExport.js';
+import { exportSVG } from './svgExport.js';
+import { importSVG } from './svgImport.js';
+import { exportPNG } from './pngExport.js';
+import { exportComponent } from './componentExport.js';
+import { stopEditing } from './editing.js';
+import { getElementCartesianBounds } from './utils/interactionUtils.js';
+import { SpatialIndex } from './spatialIndex.js';
+import { TokenRegistry } from './tokens.js';
+import { copySelection, cutSelection, pasteElements } from './clipboard.js';
+import { groupElements, ungroupElement, removeGroupChild } from './groups.js';
+import { getParentGroup, getRootElement, isInGroup, collectElements } from './utils/groupUtils.js';
 // Note: Editing/InteractionUtils are used indirectly via EventHandlers/DirtyRegions/Drawing
 // Editing functions are used within event handlers, no direct import needed here usually
 // Interaction utils are used within event handlers/dirty regions
@@ -16,26 +32,62 @@ const PEN_CURSOR_URL = './src/assets/svg/pen-tool-tip.svg';
 const PEN_CURSOR_HOTSPOT_X = 0;
 const PEN_CURSOR_HOTSPOT_Y = 10; // Example: 10 pixels down from top-left
 
-export class CartesianRenderer {
+/**
+ * Events emitted by the renderer (subscribe with on/once/off):
+ *   elementAdded     { element }
+ *   elementRemoved   { element }
+ *   elementChanged   { element }            after an element is moved, resized or edited
+ *   selectionChanged { selected, previous }  arrays of elements, back-to-front
+ *   toolChanged      { tool, previous }
+ *   historyChanged   { canUndo, canRedo }
+ *   documentLoaded   { elementCount }       after load() replaced the scene
+ *   tokensChanged    { name, token }        after a design token was added, edited or deleted (token null)
+ */
+export class CartesianRenderer extends EventEmitter {
 
+    /**
+     * `target` is a canvas id, a canvas element, or a 2D context (anything with the
+     * CanvasRenderingContext2D API, e.g. from node-canvas or a mock).
+     * Options:
+     *   width, height  drawing size in CSS pixels (default: the window when interactive, else the canvas)
+     *   pixelRatio     backing store scale (default: window.devicePixelRatio, or 1)
+     *   interactive    attach DOM listeners and the interaction overlay (default: true)
+     *   autoStart      run the requestAnimationFrame loop (default: true)
+     *   headless       shorthand for { interactive: false, autoStart: false }; call renderOnce() to draw
+     */
+    constructor(target, options = {}) {
+        super();
 
-    constructor(canvasId) {
-
-        // --- Get Canvas and Context ---
-        this.canvas = document.getElementById(canvasId);
+        const headless = !!options.headless;
+        this.options = {
+            interactive: !headless,
+            autoStart: !headless,
+            ...options
+        };
+        this.interactive = this.options.interactive;
 
-        if (!this.canvas) { 
-            console.error(`Canvas element with ID "${canvasId}" not found.`); 
-            return; 
-        } 
+        // Element type registry (type name -> { create, draw, bounds, hitTest })
+        this.elementTypes = new Map();
+        Object.entries(BUILT_IN_ELEMENT_TYPES).forEach(([type, definition]) => {
+            this.registerElementType(type, definition);
+        });
 
-        this.ctx = this.canvas.getContext("2d"); 
+        // --- Get Canvas and Context ---
+        const { canvas, ctx } = resolveDrawingTarget(target);
+        this.canvas = canvas;
+        this.ctx = ctx;
 
         if (!this.ctx) { 
-             console.error(`Failed to get 2D context for canvas "${canvasId}".`);
+             console.error(`Failed to get 2D context for canvas "${typeof target === 'string' ? target : '(injected)'}".`);
              return; 
         }
 
+        // Interaction overlay: a transparent canvas stacked on top of the content canvas.
+        // Previews, selection handles and hover highlights are painted here so they can change
+        // without invalidating the (cached) scene underneath. Not needed without interaction.
+        this.overlayCanvas = this.interactive ? this.createOverlayCanvas() : null;
+        this.overlayCtx = this.overlayCanvas ? this.overlayCanvas.getContext("2d") : null;
+
         // --- Initial State Properties ---
 
         // Tool State
@@ -44,14 +96,27 @@ export class CartesianRenderer {
         // Core State
         this.elements = [];
         this.nextElementId = 0;
+        this.spatialIndex = new SpatialIndex(); // Cartesian bounds of every element, for hit testing and culling
+        this.drawOrder = null; // Lazily built Map of element -> index in this.elements
+        this.history = new CommandHistory(this); // Undo/redo stack
+        this.tokens = new TokenRegistry(this); // Design tokens (colors, fonts, spacing) elements can reference
+        this.imageSources = new Map(); // Image src -> URL to actually load it from (e.g. an offline copy)
         this.originX = 0;
         this.originY = 0;
 
+        // Camera State (pan offset in screen pixels from the canvas centre, zoom in pixels per unit)
+        this.camera = { panX: 0, panY: 0, zoom: 1 };
+
         // Interaction State
         this.dragging = false;
         this.resizing = false;
-        this.selectedElement = null;
+        this.rotating = false;
+        this.selection = new Set(); // Selected elements (see setSelection)
         this.editingElement = null;
+        this.marquee = null; // { start, end } screen points while rubber-band selecting
+        this.snapGuides = []; // Lines the element being dragged or resized has snapped to (see snapping.js)
+        this.snapSuspended = false; // True while SNAP_SUSPEND_KEY is held: drags and resizes don't snap
+        this.activeGroup = null; // The group entered by double-clicking it: clicks pick its children
 
         // Drag/Resize Internals
         this.dragOffsetX = 0;
@@ -59,10 +124,31 @@ export class CartesianRenderer {
         this.resizeHandleType = null;
         this.originalDimensions = null;
         this.startMousePos = null;
+        this.rotationStart = null; // { pointerAngle, rotation } in degrees when a rotate drag started
+        this.dragElement = null; // The element under the pointer when a drag started (the whole selection moves with it)
+        this.dragStartState = null; // Map of element -> geometry captured at drag start, recorded as one undo step on release
+
+        // Pan Internals (space-drag or middle-button drag)
+        this.spacePressed = false;
+        this.panning = false;
+        this.lastPanPos = null;
+        this.pinchState = null; // { x, y, distance } of the active two-finger gesture
 
         // Rendering Optimization State
         this.dirtyRegions = [];
         this.fullRedraw = true;
+        this.overlayDirty = true;
+        this.hoveredElement = null; // Element under the cursor in select mode (highlighted on the overlay)
+
+        // Display State: canvases are sized in CSS pixels (viewWidth x viewHeight) with a backing
+        // store scaled by pixelRatio; all drawing and screen coordinates use CSS pixels
+        this.viewWidth = 0;
+        this.viewHeight = 0;
+        this.pixelRatio = 1;
+        this.pixelRatioQuery = null;
+
+        // Minimap navigator (created on demand by showMinimap)
+        this.minimap = null;
 
         // Add the new state variables for click-and-drag:
         
@@ -92,22 +178,197 @@ export class CartesianRenderer {
             lineWidth: 1                 
         };
 
+        // Background grid configuration (see setGridOptions)
+        this.gridOptions = {
+            visible: true,
+            showLabels: true,
+            majorSpacing: Constants.GRID_MAJOR_SPACING,
+            subdivisions: Constants.GRID_SUBDIVISIONS,
+            majorColor: Constants.GRID_MAJOR_COLOR,
+            minorColor: Constants.GRID_MINOR_COLOR,
+            labelFontSize: Constants.GRID_LABEL_FONT_SIZE
+        };
+
         // --- Bind methods & Utilities ---
         this.animate = this.animate.bind(this); 
-        this.toScreenCoords = (x, y) => toScreenCoords(x, y, this.originX, this.originY); 
-        this.toCartesianCoords = (x, y) => toCartesianCoords(x, y, this.originX, this.originY); 
+        this.toScreenCoords = (x, y) => toScreenCoords(x, y, this.originX, this.originY, this.zoom); 
+        this.toCartesianCoords = (x, y) => toCartesianCoords(x, y, this.originX, this.originY, this.zoom); 
         this.markDirty = (element) => DirtyRegions.markDirty(this, element); 
         this.markEntireCanvasDirty = () => DirtyRegions.markEntireCanvasDirty(this); 
+        this.markOverlayDirty = () => { this.overlayDirty = true; };
         // --- End of Binds & Utilities
 
         // --- Initial Setup ---
         this.setupCanvas(); 
-        this.addEventListeners(); 
-        this.start(); 
+        if (this.interactive) this.addEventListeners(); 
+        if (this.options.autoStart) this.start(); 
         // --- End of Initial Setup ---
 
     } // End of constructor
 
+    /** Current zoom scale (screen pixels per Cartesian unit) */
+    get zoom() {
+        return this.camera.zoom;
+    }
+
+    // --- History ---
+
+    /** Undoes the last change. Returns false if there was nothing to undo */
+    undo() {
+        return this.history.undo();
+    }
+
+    /** Redoes the last undone change. Returns false if there was nothing to redo */
+    redo() {
+        return this.history.redo();
+    }
+
+    // --- Save / Load ---
+
+    /** Returns the scene as a versioned JSON document string (see serialization.js for the schema) */
+    serialize() {
+        return JSON.stringify(serializeDocument(this));
+    }
+
+    /**
+     * Replaces the scene with a document from serialize() (JSON string or parsed object).
+     * Older schema versions are migrated first. Elements are rebuilt through their type's `create`,
+     * keeping their saved ids. Clears the undo history. Returns false if the document can't be read.
+     */
+    load(json) {
+        const doc = parseDocument(json);
+        if (!doc) return false;
+
+        if (this.editingElement) stopEditing(this, true);
+        this.selectElement(null);
+        this.setActiveGroup(null);
+        this.setHoveredElement(null);
+        this.elements = [];
+        this.spatialIndex.clear();
+        this.drawOrder = null;
+        this.tokens.load(doc.tokens);
+
+        let maxId = -1;
+        doc.elements.forEach(({ id, type, ...props }) => {
+            const definition = this.elementTypes.get(type);
+            if (!definition) {
+                console.warn(`Skipping element ${id}: unknown element type "${type}".`);
+                return;
+            }
+            if (!isValidElementData(type, props)) {
+                console.warn(`Skipping element ${id}: its position or size is missing or not a number.`);
+                return;
+            }
+            const element = definition.create(this, id, props);
+            if (!element) return;
+            this.tokens.attach(element, props.tokens);
+            this.insertElement(element);
+        });
+        // Group children have ids too
+        collectElements(this.elements).forEach(element => {
+            maxId = Math.max(maxId, Number(element.id) || 0);
+        });
+        // Never hand out an id that is already in use, even if the saved counter is stale
+        this.nextElementId = Math.max(Number(doc.nextElementId) || 0, maxId + 1);
+
+        this.history.clear();
+        this.markEntireCanvasDirty();
+        console.log(`Loaded document with ${this.elements.length} elements`);
+        this.emit('documentLoaded', { elementCount: this.elements.length });
+        return true;
+    }
+
+    /** Returns the URL an image element with this src should load from */
+    resolveImageSource(src) {
+        return this.imageSources.get(src) || src;
+    }
+
+    // --- Import ---
+
+    /**
+     * Converts SVG markup into elements (curves, plus rects for plain filled rects) as one undo step.
+     * Options: { scale, at: { x, y } } (see svgImport.js). Returns the created elements.
+     */
+    importSVG(svgText, options = {}) {
+        return importSVG(this, svgText, options);
+    }
+
+    // --- Export ---
+
+    /**
+     * Exports the board (or a region of it) as HTML/CSS: { html, markup, css } (see htmlExport.js).
+     * Options: { region, padding, classPrefix, background, title }.
+     */
+    exportHTML(options = {}) {
+        return exportHTML(this, options);
+    }
+
+    /** Exports every element as an SVG document string. Options: { padding, background } */
+    exportSVG(options = {}) {
+        return exportSVG(this, options);
+    }
+
+    /**
+     * Exports a region as a PNG blob (a Promise; resolves to null on failure).
+     * Options: { region: 'content' | 'selection' | 'viewport' | { minX, minY, maxX, maxY },
+     *            scale, padding, background, axes } (see pngExport.js).
+     */
+    exportPNG(options = {}) {
+        return exportPNG(this, options);
+    }
+
+    /**
+     * Exports a region as a React or Vue component: [{ filename, content }] (see componentExport.js).
+     * Options: { framework: 'react' | 'vue', name, region, padding, background }.
+     */
+    exportComponent(options = {}) {
+        return exportComponent(this, options);
+    }
+
+    /** Returns the design tokens as CSS custom properties declared on `selector` (default ':root') */
+    exportTokensCSS(selector = ':root') {
+        return this.tokens.toCSS(selector);
+    }
+
+    // --- Clipboard ---
+
+    /** Returns the selected elements as a clipboard payload (JSON text), or null if nothing is selected */
+    copySelection() {
+        return copySelection(this);
+    }
+
+    /** Like copySelection, and deletes the selected elements (one undo step) */
+    cutSelection() {
+        return cutSelection(this);
+    }
+
+    /** Adds offset copies of the elements in a clipboard payload (one undo step); returns them */
+    pasteElements(payload) {
+        return pasteElements(this, payload);
+    }
+
+    // --- Minimap ---
+
+    /** Shows the minimap navigator in the bottom-right corner ({ width, height } optional) */
+    showMinimap(options = {}) {
+        if (this.minimap || !this.interactive || !this.canvas.parentNode) return this.minimap;
+        this.minimap = createMinimap(this, options);
+        return this.minimap;
+    }
+
+    /** Removes the minimap navigator */
+    hideMinimap() {
+        if (!this.minimap) return;
+        this.minimap.destroy();
+        this.minimap = null;
+    }
+
+    // --- Camera ---
+    panBy(dx, dy) { Camera.panBy(this, dx, dy); }
+    zoomAt(screenX, screenY, zoom) { Camera.zoomAt(this, screenX, screenY, zoom); }
+    resetView() { Camera.resetView(this); }
+    centerOn(x, y) { Camera.centerOn(this, x, y); }
+
 
     // --- Tool Management ---
     // --- Tool Management ---
@@ -115,6 +376,7 @@ export class CartesianRenderer {
         // Log the tool change for debugging
         console.log("Changing tool to:", toolName);
         // Store the new tool name
+        const previousTool = this.currentTool;
         this.currentTool = toolName;
 
         // Reset the drawing state variables whenever the tool changes
@@ -123,32 +385,201 @@ export class CartesianRenderer {
         // Reset the temporary mouse position tracker
         this.currentMousePosCartesian = null;
 
-        // Define the path to the cursor file in the 'public' directory
-        const PEN_CURSOR_PATH = '/pen-tool-tip.svg'; // Or '/pen-tool-tip.svg' if you prefer
-
         // Set the cursor based on the selected tool
-        if (toolName === 'pen') {
-            // Use the SVG cursor with hotspot for the pen tool
-            this.canvas.style.cursor = `url(${PEN_CURSOR_PATH}) 3 18, crosshair`; // Adjust hotspot (3 18) if needed
-        } else {
-            // Use the default arrow cursor for the 'select' tool
-            this.canvas.style.cursor = 'default';
+        if (this.interactive) this.canvas.style.cursor = this.getToolCursor();
+        if (toolName !== 'pen') {
             // Optional: Also deselect any selected element when switching away from pen
-            this.selectedElement = null;
+            this.selectElement(null);
+        }
+        this.hoveredElement = null;
+        // Repaint the overlay to clear any lingering previews from the previous tool
+        this.markOverlayDirty();
+        if (previousTool !== toolName) {
+            this.emit('toolChanged', { tool: toolName, previous: previousTool });
         }
-        // Mark the canvas dirty to clear any lingering previews from the previous tool
+    }
+
+    // --- Selection ---
+
+    /** The selected element when exactly one is selected, otherwise null (e.g. for resize handles) */
+    get selectedElement() {
+        return this.selection.size === 1 ? this.selection.values().next().value : null;
+    }
+
+    /** Returns the selected elements, back-to-front */
+    getSelectedElements() {
+        return this.sortByDrawOrder([...this.selection]);
+    }
+
+    /** Returns true if an element is selected */
+    isSelected(element) {
+        return this.selection.has(element);
+    }
+
+    /** Replaces the selection with the given elements (an empty list clears it) */
+    setSelection(elements) {
+        const next = new Set(elements.filter(Boolean));
+        if (next.size === this.selection.size && [...next].every(el => this.selection.has(el))) return;
+        const previous = this.getSelectedElements();
+        this.selection = next;
+        this.markOverlayDirty(); // Selection chrome lives on the overlay
+        this.emit('selectionChanged', { selected: this.getSelectedElements(), previous });
+    }
+
+    /** Selects just this element, or clears the selection with null */
+    selectElement(element) {
+        this.setSelection(element ? [element] : []);
+    }
+
+    /** Adds an element to the selection, or removes it if it was already selected (Shift/Ctrl-click) */
+    toggleSelection(element) {
+        const next = new Set(this.selection);
+        if (next.has(element)) next.delete(element);
+        else next.add(element);
+        this.setSelection([...next]);
+    }
+
+    // --- Groups ---
+
+    /** Groups the selected top-level elements into one group element (one undo step). Returns the group or null */
+    groupSelection() {
+        return groupElements(this, this.getSelectedElements());
+    }
+
+    /** Ungroups the selected groups (one undo step each). Returns the released elements */
+    ungroupSelection() {
+        const groups = this.getSelectedElements().filter(el => el.type === 'group');
+        const released = groups.flatMap(group => ungroupElement(this, group) || []);
+        if (released.length > 0) this.setSelection(released);
+        return released;
+    }
+
+    /**
+     * Enters a group, so clicks pick its children instead of the whole group, or leaves it with null.
+     * Double-clicking a group enters it; clicking outside it leaves.
+     */
+    setActiveGroup(group) {
+        if (this.activeGroup === group) return;
+        this.activeGroup = group;
+        this.markOverlayDirty(); // The entered group is outlined
+    }
+
+    /** Sets the element under the cursor, repainting the hover highlight if it changed */
+    setHoveredElement(element) {
+        if (this.hoveredElement === element) return;
+        this.hoveredElement = element;
+        this.markOverlayDirty();
+    }
+    /** Sets the snap guides shown on the overlay (an empty list hides them) */
+    setSnapGuides(guides) {
+        if (guides.length === 0 && this.snapGuides.length === 0) return;
+        this.snapGuides = guides;
+        this.markOverlayDirty();
+    }
+    /** Updates the grid configuration (e.g. { visible: false } to hide it) and repaints */
+    setGridOptions(options = {}) {
+        this.gridOptions = { ...this.gridOptions, ...options };
+        this.gridOptions.subdivisions = Math.max(1, Math.round(this.gridOptions.subdivisions));
         this.markEntireCanvasDirty();
     }
-    /** Sets initial canvas size and calculates origin */
+
+    /** Returns the resting CSS cursor for the current tool */
+    getToolCursor() {
+        // Define the path to the cursor file in the 'public' directory
+        const PEN_CURSOR_PATH = '/pen-tool-tip.svg'; // Or '/pen-tool-tip.svg' if you prefer
+        if (this.currentTool === 'pen') {
+            // Use the SVG cursor with hotspot for the pen tool
+            return `url(${PEN_CURSOR_PATH}) 3 18, crosshair`; // Adjust hotspot (3 18) if needed
+        }
+        // Use the default arrow cursor for the 'select' tool
+        return 'default';
+    }
+
+    /**
+     * Sets canvas size (accounting for device pixel ratio) and calculates origin.
+     * Interactive renderers fill the window; headless ones keep the size they were given.
+     */
     setupCanvas() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-        this.originX = this.canvas.width / 2;
-        this.originY = this.canvas.height / 2;
-         console.log(`Canvas setup: ${this.canvas.width}x${this.canvas.height}, Origin: (${this.originX}, ${this.originY})`);
+        const { width, height, pixelRatio } = this.options;
+        const hasWindow = typeof window !== 'undefined';
+        this.pixelRatio = pixelRatio || (hasWindow && window.devicePixelRatio) || 1;
+        if (this.interactive) {
+            this.viewWidth = width || window.innerWidth;
+            this.viewHeight = height || window.innerHeight;
+        } else {
+            // Fall back to the injected canvas's current backing store size
+            this.viewWidth = width || (this.canvas ? this.canvas.width / this.pixelRatio : 0);
+            this.viewHeight = height || (this.canvas ? this.canvas.height / this.pixelRatio : 0);
+        }
+        this.sizeCanvas(this.canvas, this.ctx);
+        if (this.overlayCanvas) {
+            this.sizeCanvas(this.overlayCanvas, this.overlayCtx);
+            this.positionOverlayCanvas();
+        }
+        Camera.updateOrigin(this); // Origin is the canvas centre shifted by the camera pan
+         console.log(`Canvas setup: ${this.viewWidth}x${this.viewHeight} @${this.pixelRatio}x, Origin: (${this.originX}, ${this.originY})`);
          this.markEntireCanvasDirty(); // Ensure redraw after setup
     }
 
+    /** Sizes a canvas's backing store for the pixel ratio and scales its context back to CSS pixels */
+    sizeCanvas(canvas, ctx) {
+        // A bare injected context may have no canvas, and off-DOM canvases have no style
+        if (canvas) {
+            canvas.width = Math.round(this.viewWidth * this.pixelRatio);
+            canvas.height = Math.round(this.viewHeight * this.pixelRatio);
+            if (canvas.style) {
+                canvas.style.width = `${this.viewWidth}px`;
+                canvas.style.height = `${this.viewHeight}px`;
+            }
+        }
+        // Resizing resets the context, so the scale has to be reapplied every time
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    }
+
+    /**
+     * Re-runs canvas setup when devicePixelRatio changes (browser zoom, or dragging the window to
+     * a monitor with a different density). A resolution media query only fires once per ratio,
+     * so it is re-armed for the new ratio each time.
+     */
+    watchPixelRatio() {
+        if (typeof window.matchMedia !== 'function') return;
+        this.unwatchPixelRatio();
+        this.pixelRatioQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        this.pixelRatioHandler = () => {
+            EventHandlers.createResizeHandler(this)();
+            this.watchPixelRatio();
+        };
+        this.pixelRatioQuery.addEventListener('change', this.pixelRatioHandler);
+    }
+
+    /** Stops listening for devicePixelRatio changes */
+    unwatchPixelRatio() {
+        if (this.pixelRatioQuery) {
+            this.pixelRatioQuery.removeEventListener('change', this.pixelRatioHandler);
+            this.pixelRatioQuery = null;
+        }
+    }
+
+    /** Creates the overlay canvas as a sibling of the content canvas. Returns null if it can't be placed */
+    createOverlayCanvas() {
+        const parent = this.canvas.parentNode;
+        if (!parent) return null;
+        const overlay = document.createElement('canvas');
+        overlay.className = 'interaction-overlay';
+        // Let mouse events fall through to the content canvas, which owns all listeners
+        overlay.style.position = 'absolute';
+        overlay.style.pointerEvents = 'none';
+        overlay.style.background = 'transparent'; // The page styles give canvases a solid background
+        parent.insertBefore(overlay, this.canvas.nextSibling);
+        return overlay;
+    }
+
+    /** Lines the overlay canvas up exactly with the content canvas (sizeCanvas sets its CSS size) */
+    positionOverlayCanvas() {
+        this.overlayCanvas.style.left = `${this.canvas.offsetLeft}px`;
+        this.overlayCanvas.style.top = `${this.canvas.offsetTop}px`;
+    }
+
     /** Attaches event listeners */
     addEventListeners() {
         // Use factory functions to create handlers that close over `this` (the renderer instance)
@@ -158,6 +589,18 @@ export class CartesianRenderer {
         this.mouseLeaveHandler = EventHandlers.createMouseLeaveHandler(this);
         this.doubleClickHandler = EventHandlers.createDoubleClickHandler(this);
         this.resizeHandler = EventHandlers.createResizeHandler(this);
+        this.wheelHandler = EventHandlers.createWheelHandler(this);
+        this.keyDownHandler = EventHandlers.createKeyDownHandler(this);
+        this.keyUpHandler = EventHandlers.createKeyUpHandler(this);
+        this.copyHandler = EventHandlers.createCopyHandler(this);
+        this.cutHandler = EventHandlers.createCutHandler(this);
+        this.pasteHandler = EventHandlers.createPasteHandler(this);
+        this.dragOverHandler = EventHandlers.createDragOverHandler(this);
+        this.dropHandler = EventHandlers.createDropHandler(this);
+        this.touchStartHandler = EventHandlers.createTouchStartHandler(this);
+        this.touchMoveHandler = EventHandlers.createTouchMoveHandler(this);
+        this.touchEndHandler = EventHandlers.createTouchEndHandler(this);
+        this.preventDragStart = (e) => e.preventDefault();
 
         window.addEventListener('resize', this.resizeHandler);
         this.canvas.addEventListener('mousedown', this.mouseDownHandler);
@@ -167,13 +610,30 @@ export class CartesianRenderer {
         window.addEventListener('mouseleave', this.mouseLeaveHandler); // Handle mouse leaving window entirely
         // this.canvas.addEventListener('mouseleave', this.mouseLeaveHandler); // Alternative: handle leaving just canvas
         this.canvas.addEventListener('dblclick', this.doubleClickHandler);
+        // Wheel and touch handlers call preventDefault, so they can't be passive
+        this.canvas.addEventListener('wheel', this.wheelHandler, { passive: false });
+        this.canvas.addEventListener('touchstart', this.touchStartHandler, { passive: false });
+        this.canvas.addEventListener('touchmove', this.touchMoveHandler, { passive: false });
+        this.canvas.addEventListener('touchend', this.touchEndHandler);
+        this.canvas.addEventListener('touchcancel', this.touchEndHandler);
+        window.addEventListener('keydown', this.keyDownHandler);
+        window.addEventListener('keyup', this.keyUpHandler);
+        document.addEventListener('copy', this.copyHandler);
+        document.addEventListener('cut', this.cutHandler);
+        document.addEventListener('paste', this.pasteHandler);
 
          // Prevent default browser drag behavior on the canvas (e.g., image ghosting)
-         this.canvas.addEventListener('dragstart', (e) => e.preventDefault());
+         this.canvas.addEventListener('dragstart', this.preventDragStart);
+        // Image files dropped from the desktop
+        this.canvas.addEventListener('dragover', this.dragOverHandler);
+        this.canvas.addEventListener('drop', this.dropHandler);
+
+        this.watchPixelRatio();
     }
 
     /** Removes event listeners */
     removeEventListeners() {
+         if (!this.mouseDownHandler) return; // Never attached (headless)
          window.removeEventListener('resize', this.resizeHandler);
          this.canvas.removeEventListener('mousedown', this.mouseDownHandler);
          this.canvas.removeEventListener('mousemove', this.mouseMoveHandler);
@@ -181,39 +641,196 @@ export class CartesianRenderer {
          window.removeEventListener('mouseleave', this.mouseLeaveHandler);
          // this.canvas.removeEventListener('mouseleave', this.mouseLeaveHandler);
          this.canvas.removeEventListener('dblclick', this.doubleClickHandler);
-         this.canvas.removeEventListener('dragstart', (e) => e.preventDefault());
+         this.canvas.removeEventListener('wheel', this.wheelHandler);
+         this.canvas.removeEventListener('touchstart', this.touchStartHandler);
+         this.canvas.removeEventListener('touchmove', this.touchMoveHandler);
+         this.canvas.removeEventListener('touchend', this.touchEndHandler);
+         this.canvas.removeEventListener('touchcancel', this.touchEndHandler);
+         window.removeEventListener('keydown', this.keyDownHandler);
+         window.removeEventListener('keyup', this.keyUpHandler);
+         document.removeEventListener('copy', this.copyHandler);
+         document.removeEventListener('cut', this.cutHandler);
+         document.removeEventListener('paste', this.pasteHandler);
+         this.canvas.removeEventListener('dragstart', this.preventDragStart);
+         this.canvas.removeEventListener('dragover', this.dragOverHandler);
+         this.canvas.removeEventListener('drop', this.dropHandler);
+         this.unwatchPixelRatio();
          console.log("Removed event listeners.");
     }
 
-    /* --- Element Factory Methods 
-    These methods use the functions from elements.js */
+    // --- Element Bookkeeping ---
 
-    addElement(x, y, width, height, color = "red") {
+    // --- Element Types ---
+
+    /**
+     * Registers (or replaces) an element type. `definition` is { create, draw, bounds, hitTest };
+     * see elementTypes.js for the signatures. Only `draw` is required.
+     * Returns true on success.
+     */
+    registerElementType(type, definition) {
+        const normalized = normalizeElementType(type, definition);
+        if (!normalized) return false;
+        if (this.elementTypes.has(type)) {
+            console.warn(`Element type "${type}" is already registered; replacing it.`);
+        }
+        this.elementTypes.set(type, normalized);
+        // Existing elements of this type may now draw and measure differently
+        if (this.elements) {
+            this.elements.filter(el => el.type === type).forEach(el => this.reindexElement(el));
+            this.markEntireCanvasDirty();
+        }
+        return true;
+    }
+
+    /**
+     * Creates an element of a registered type through its `create` function, adds it on top of the
+     * scene as one undo step and returns it (or null if the type is unknown or creation failed).
+     */
+    addElementOfType(type, props = {}) {
+        const element = this.createElement(type, props);
+        if (element) {
+            this.history.record(createAddElementCommand(this, element, this.elements.length - 1));
+        }
+        return element;
+    }
+
+    /** Creates an element through the registry and adds it on top of the scene, without recording history */
+    createElement(type, props = {}) {
+        const definition = this.elementTypes.get(type);
+        if (!definition) {
+            console.error(`Cannot add element: unknown element type "${type}".`);
+            return null;
+        }
         const id = this.nextElementId++;
-        const element = Elements.createRectElement(id, x, y, width, height, color);
-        this.elements.push(element);
+        const element = definition.create(this, id, props);
+        if (!element) return null;
+        this.tokens.attach(element, props.tokens); // e.g. { color: 'primary' }
+        this.insertElement(element);
         this.markDirty(element); // Mark the new element's area dirty
         return element;
     }
 
-    addText(x, y, text, options = {}) {
-        const id = this.nextElementId++;
-        // Pass `this` (renderer instance) because createTextElement needs context for metrics
-        const element = Elements.createTextElement(this, id, x, y, text, options);
-        this.elements.push(element);
-        this.markDirty(element);
+    /** Adds an element to the scene (on top by default) and indexes its bounds */
+    insertElement(element, index = this.elements.length) {
+        this.elements.splice(index, 0, element);
+        this.drawOrder = null;
+        this.spatialIndex.update(element, getElementCartesianBounds(this, element));
+        this.emit('elementAdded', { element });
         return element;
     }
 
+    /** Removes an element from the scene (or from the group holding it) and the spatial index */
+    removeElement(element) {
+        const group = getParentGroup(element);
+        if (group) return removeGroupChild(this, group, element);
+        const index = this.elements.indexOf(element);
+        if (index === -1) return false;
+        this.history.record(createRemoveElementCommand(this, element, index));
+        this.markDirty(element); // Clear the area it used to cover
+        this.elements.splice(index, 1);
+        this.drawOrder = null;
+        this.spatialIndex.remove(element);
+        // Anything inside a removed group goes with it
+        const removed = el => el === element || isInGroup(el, element);
+        if ([...this.selection].some(removed)) this.setSelection([...this.selection].filter(el => !removed(el)));
+        if (this.hoveredElement && removed(this.hoveredElement)) this.setHoveredElement(null);
+        if (this.activeGroup && removed(this.activeGroup)) this.setActiveGroup(null);
+        this.emit('elementRemoved', { element });
+        return true;
+    }
+
+    /**
+     * Refreshes an element's entry in the spatial index and notifies 'elementChanged' listeners.
+     * Call after moving, resizing or otherwise editing an element. For an element inside a group
+     * the top-level group is reindexed, as only it is in the index. Elements that are no longer on
+     * the board (e.g. an image that finishes loading after its add was undone) are left out of it.
+     */
+    reindexElement(element) {
+        const root = getRootElement(element);
+        if (this.spatialIndex.has(root) || this.elements.includes(root)) {
+            this.spatialIndex.update(root, getElementCartesianBounds(this, root));
+        }
+        this.emit('elementChanged', { element });
+    }
+
+    /** Sorts a list of elements back-to-front, in the order they are drawn (group children go with their group) */
+    sortByDrawOrder(items) {
+        if (!this.drawOrder) {
+            this.drawOrder = new Map(this.elements.map((el, i) => [el, i]));
+        }
+        return items.sort((a, b) => this.drawOrder.get(getRootElement(a)) - this.drawOrder.get(getRootElement(b)));
+    }
+
+    /** Returns the Cartesian rectangle for a screen rectangle, grown by `marginPx` screen pixels */
+    screenRectToCartesian(x, y, width, height, marginPx = 0) {
+        const topLeft = this.toCartesianCoords(x - marginPx, y - marginPx);
+        const bottomRight = this.toCartesianCoords(x + width + marginPx, y + height + marginPx);
+        return { minX: topLeft.x, minY: bottomRight.y, maxX: bottomRight.x, maxY: topLeft.y };
+    }
+
+    /** Returns the elements overlapping any of the given screen regions, in draw order */
+    getElementsInScreenRegions(regions) {
+        const found = new Set();
+        regions.forEach(region => {
+            // One pixel of slack for anti-aliased edges
+            const rect = this.screenRectToCartesian(region.x, region.y, region.width, region.height, 1);
+            this.spatialIndex.query(rect).forEach(el => found.add(el));
+        });
+        return this.sortByDrawOrder([...found]);
+    }
+
+    /** Returns the Cartesian bounds of everything on the board, or null if it is empty */
+    getContentBounds() {
+        return this.spatialIndex.getBounds();
+    }
+
+    /** Returns the Cartesian rectangle currently visible on the canvas */
+    getViewportBounds() {
+        return this.screenRectToCartesian(0, 0, this.viewWidth, this.viewHeight);
+    }
+
+    /**
+     * Returns a lightweight stand-in for this renderer that draws to another context with its own
+     * camera. The drawing functions in drawing.js only read ctx, origin, zoom and the coordinate
+     * helpers from the renderer, so they can paint the scene elsewhere (minimap, exports) unchanged.
+     * Selection/editing state is cleared on the view so no interaction chrome leaks into the output.
+     */
+    createView(ctx, { originX, originY, zoom, width, height, pixelRatio = 1 }) {
+        const view = Object.create(this);
+        view.ctx = ctx;
+        view.canvas = ctx.canvas;
+        view.originX = originX;
+        view.originY = originY;
+        view.camera = { panX: 0, panY: 0, zoom };
+        view.viewWidth = width;
+        view.viewHeight = height;
+        view.pixelRatio = pixelRatio;
+        view.selection = new Set();
+        view.marquee = null;
+        view.activeGroup = null;
+        view.editingElement = null;
+        view.hoveredElement = null;
+        view.toScreenCoords = (x, y) => toScreenCoords(x, y, view.originX, view.originY, view.zoom);
+        view.toCartesianCoords = (x, y) => toCartesianCoords(x, y, view.originX, view.originY, view.zoom);
+        return view;
+    }
+
+    /* --- Element Factory Methods 
+    These methods use the functions from elements.js */
+
+    addElement(x, y, width, height, color = "red") {
+        return this.addElementOfType('rect', { x, y, width, height, color });
+    }
+
+    addText(x, y, text, options = {}) {
+        // The text type's create passes `this` (renderer instance) on, because createTextElement needs context for metrics
+        return this.addElementOfType('text', { ...options, x, y, text });
+    }
+
     addImage(x, y, src, options = {}) {
-        const id = this.nextElementId++;
-        // Pass `this` because createImageElement needs it for async marking dirty
-        const element = Elements.createImageElement(this, id, x, y, src, options);
-        this.elements.push(element);
-        // Mark dirty initially for placeholder (if dimensions known) or loading state
+        // Marked dirty initially for placeholder (if dimensions known) or loading state
         // The image onload/onerror will mark dirty again with final dimensions/state
-        this.markDirty(element);
-        return element;
+        return this.addElementOfType('image', { ...options, x, y, src });
     }
 
     // --- Core Drawing Logic ---   
@@ -222,107 +839,97 @@ export class CartesianRenderer {
         // Do nothing if the canvas context isn't available
         if (!ctx) return;
 
+        // Content changes can move things the overlay decorates (e.g. handles on a dragged element)
+        const contentChanged = this.fullRedraw || this.dirtyRegions.length > 0;
+
         // --- Handle Full Redraw ---
         if (this.fullRedraw) {
             // Clear the entire canvas
-            ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            ctx.clearRect(0, 0, this.viewWidth, this.viewHeight);
             // Draw the background axes
             Drawing.drawAxes(this);
-            // Draw every element (except the one being edited)
-            this.elements.forEach(el => {
+            // Draw every visible element (except the one being edited)
+            const visible = this.getElementsInScreenRegions([{ x: 0, y: 0, width: this.viewWidth, height: this.viewHeight }]);
+            visible.forEach(el => {
                 if (el !== this.editingElement) {
                     this.drawElementByType(el);
                 }
             });
-            // Call the preview drawing function if we are in a drawing state
-            // and have at least the starting point defined.
-            if (this.bezierDrawingState !== 'idle' && this.currentCurvePoints.p0) {
-                Drawing.drawBezierPreview(this);
-            }
         }
         // --- Handle Partial Redraw (Dirty Regions) ---
         else if (this.dirtyRegions.length > 0) {
-            // Merge overlapping dirty areas for efficiency
-            const merged = DirtyRegions.mergeRegions(this.dirtyRegions);
+            // Merge overlapping dirty areas for efficiency, then align them to device pixels
+            const merged = DirtyRegions.mergeRegions(this.dirtyRegions)
+                .map(region => DirtyRegions.snapRegionToDevicePixels(region, this.pixelRatio));
 
             // Save context state before clearing/drawing
             ctx.save();
 
             // Clear only the merged dirty rectangles
             merged.forEach(region => {
-                // Use floor/ceil for pixel precision and add a small buffer
-                const x = Math.floor(region.x);
-                const y = Math.floor(region.y);
-                const w = Math.ceil(region.width) + 1;
-                const h = Math.ceil(region.height) + 1;
-                ctx.clearRect(x, y, w, h);
+                ctx.clearRect(region.x, region.y, region.width, region.height);
+            });
+
+            // Clip to the cleared areas so the grid and overlapping elements don't overdraw
+            // the untouched parts of the canvas
+            ctx.beginPath();
+            merged.forEach(region => {
+                ctx.rect(region.x, region.y, region.width, region.height);
             });
+            ctx.clip();
 
             // Redraw axes (simplest approach, could be optimized later)
             Drawing.drawAxes(this);
 
-            // Redraw elements that intersect with any dirty region
-            this.elements.forEach(el => {
+            // Redraw elements that intersect with any dirty region (found via the spatial index;
+            // the clip above keeps loose matches from painting outside the regions)
+            this.getElementsInScreenRegions(merged).forEach(el => {
                 if (el === this.editingElement) return; // Skip edited element
-                // Get element bounds (ensure getElementScreenBounds is imported/available)
-                const bounds = getElementScreenBounds(this, el);
-                if (!bounds || bounds.width <= 0 || bounds.height <= 0) return;
-
-                let needsRedraw = false;
-                // Check overlap with each merged dirty region
-                for (const region of merged) {
-                    if (DirtyRegions.regionsOverlap(bounds, region)) {
-                        needsRedraw = true;
-                        break; // Found an overlap, no need to check further
-                    }
-                }
-                // If overlap found, redraw the element
-                if (needsRedraw) {
-                    this.drawElementByType(el);
-                }
+                this.drawElementByType(el);
             });
 
-            // Also call preview drawing here if needed, after elements are drawn
-            if (this.bezierDrawingState !== 'idle' && this.currentCurvePoints.p0) {
-                Drawing.drawBezierPreview(this);
-            }
-
             // Restore context state
             ctx.restore();
         }
-        // If no dirty regions and not a full redraw, do nothing for elements.
-        // But we might still need to draw/update the preview if it exists?
-        // The current logic relies on markEntireCanvasDirty() during preview updates,
-        // so this else block might not be strictly needed for the preview.
+        // If no dirty regions and not a full redraw, the content canvas is left untouched.
+
+        // --- Interaction Overlay ---
+        // Repainted on its own (it only holds a handful of shapes), so previews and hover
+        // feedback never force a scene redraw
+        if (this.overlayCtx && (contentChanged || this.overlayDirty)) {
+            Drawing.drawOverlay(this);
+        }
+
+        // --- Minimap ---
+        // Anything that changed the scene or the view changes the minimap too
+        if (this.minimap) {
+            if (contentChanged) this.minimap.markDirty();
+            this.minimap.update();
+        }
 
         // Reset flags for the next animation frame
         this.fullRedraw = false;
         this.dirtyRegions = [];
+        this.overlayDirty = false;
+    }
+
+    /**
+     * Draws the whole scene once, synchronously. This is how headless renderers (no animation
+     * loop) produce a frame, e.g. for thumbnails or automated checks.
+     */
+    renderOnce() {
+        this.markEntireCanvasDirty();
+        this.draw();
     }
 
     /** Helper to call the correct drawing function based on element type */
     drawElementByType(el) {
-        switch (el.type) {
-            case "rect":
-                Drawing.drawRectElement(this, el);
-                break;
-            case "text":
-                 // Ensure metrics are calculated before drawing (drawing func also does this, but good practice)
-                 if (typeof el.paddedWidth === 'undefined') {
-                    el.updateTextMetrics(this.ctx, el); // Assumes updateTextMetrics is available if needed standalone
-                 }
-                Drawing.drawTextElement(this, el);
-                break;
-            case "bezier":
-                Drawing.drawBezierElement(this, el);
-                break;
-
-            case "image":
-                Drawing.drawImageElement(this, el);
-                break;
-            default:
-                console.warn(`Unknown element type encountered during drawing: ${el.type}`);
+        const definition = this.elementTypes.get(el.type);
+        if (!definition) {
+            console.warn(`Unknown element type encountered during drawing: ${el.type}`);
+            return;
         }
+        definition.draw(this, el);
     }
 
     // --- Animation Loop ---
@@ -366,8 +973,11 @@ export class CartesianRenderer {
     // --- Element Factory Methods ---
     // ... (keep addElement, addText, addImage) ...
 
-    // Replace the old addBezierCurve with this version
-    addBezierCurve(p0, p1, p2, p3) {
+    /**
+     * Adds a cubic bezier curve from its four Cartesian points. `style` ({ color, lineWidth })
+     * defaults to bezierCurveStyle, the pen tool's style.
+     */
+    addBezierCurve(p0, p1, p2, p3, style = {}) {
         // Validate that all four point arguments were actually provided
         if (!p0 || !p1 || !p2 || !p3) {
             // Log an error if any point is missing
@@ -376,30 +986,48 @@ export class CartesianRenderer {
             return null;
         }
 
-        // Get the next available element ID
-        const id = this.nextElementId++;
-
-        // Create the 'bezier' element object.
+        // Create the 'bezier' element through the registry (missing style falls back to bezierCurveStyle).
         // The points are passed in the correct P0, P1, P2, P3 order.
-        const element = {
-            id,
-            type: "bezier",
-            // Store the array of point objects
+        // Properties left to the pen style also follow the pen style's tokens (see TokenRegistry.bindPenStyle)
+        const penTokens = Object.entries(this.bezierCurveStyle.tokens || {}).filter(([property]) => style[property] === undefined);
+        const tokens = { ...Object.fromEntries(penTokens), ...style.tokens };
+        const element = this.createElement('bezier', {
+            ...style,
             points: [p0, p1, p2, p3],
-            // Use the currently defined style for new curves
-            color: this.bezierCurveStyle.color,
-            lineWidth: this.bezierCurveStyle.lineWidth
-        };
-
-        // Add the newly created element to the renderer's list
-        this.elements.push(element);
+            ...(Object.keys(tokens).length > 0 ? { tokens } : {})
+        });
+        if (!element) return null;
+        // Each segment is its own undo step, so a pen path can be undone segment by segment
+        this.history.record(createPenSegmentCommand(this, element, this.elements.length - 1));
         // Log confirmation to the console
-        console.log(`Added bezier element ${id}`);
+        console.log(`Added bezier element ${element.id}`);
 
-        // Mark the canvas dirty so the new curve gets drawn
-        // This also helps clear any final preview state
-        this.markEntireCanvasDirty();
+        // Repaint the overlay to clear the final preview state
+        this.markOverlayDirty();
         // Return the newly created element object
         return element;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Resolves the renderer's drawing target to { canvas, ctx }. Accepts a canvas id, a canvas element
+ * (anything with getContext) or a 2D context; either value is null if it can't be found.
+ */
+function resolveDrawingTarget(target) {
+    if (typeof target === 'string') {
+        const canvas = document.getElementById(target);
+        if (!canvas) {
+            console.error(`Canvas element with ID "${target}" not found.`);
+            return { canvas: null, ctx: null };
+        }
+        return { canvas, ctx: canvas.getContext("2d") };
+    }
+    if (target && typeof target.getContext === 'function') {
+        return { canvas: target, ctx: target.getContext("2d") };
+    }
+    if (target && typeof target.fillRect === 'function') {
+        return { canvas: target.canvas || null, ctx: target };
+    }
+    console.error("CartesianRenderer needs a canvas id, a canvas element or a 2D context.");
+    return { canvas: null, ctx: null };
+}
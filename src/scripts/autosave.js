@@ -0,0 +1,244 @@
+// autosave.js
+import * as Constants from './utils/constants.js';
+import { serializeDocument } from './serialization.js';
+import { collectElements } from './utils/groupUtils.js';
+
+// Events that mean the scene may differ from the last save
+const CHANGE_EVENTS = ['elementAdded', 'elementRemoved', 'elementChanged', 'documentLoaded', 'tokensChanged'];
+
+/**
+ * Creates the autosave controller. The board is written to IndexedDB shortly after every change
+ * and on a fixed interval (when something changed), and once more when the page is hidden.
+ * Image elements also store their file data, keyed by src, so a restored board works offline.
+ *
+ * Returns { start(), stop(), save(), getLastSession(), restore(session), clear() }.
+ * Every method resolves quietly (null/false) if IndexedDB is unavailable.
+ */
+export function createAutosave(renderer, options = {}) {
+    const databaseName = options.databaseName || Constants.AUTOSAVE_DATABASE;
+    let databasePromise = null;
+    let unsubscribers = [];
+    let intervalId = null;
+    let debounceId = null;
+    let dirty = false;
+    let saving = null; // Promise of the save in progress
+    let lastSaved = null; // JSON of the last saved document, to skip saves that change nothing
+    const storedImages = new Set(); // Image srcs already in the database
+    const unavailableImages = new Set(); // Image srcs whose data couldn't be fetched (not retried)
+
+    function getDatabase() {
+        if (!databasePromise) {
+            databasePromise = openDatabase(databaseName).then(async db => {
+                (await requestToPromise(db.transaction(IMAGE_STORE).objectStore(IMAGE_STORE).getAllKeys()))
+                    .forEach(key => storedImages.add(key));
+                return db;
+            }).catch(e => {
+                console.warn("Autosave is unavailable (IndexedDB could not be opened):", e);
+                return null;
+            });
+        }
+        return databasePromise;
+    }
+
+    function markChanged() {
+        dirty = true;
+        clearTimeout(debounceId);
+        debounceId = setTimeout(() => autosave.save(), Constants.AUTOSAVE_DEBOUNCE_MS);
+    }
+
+    function handleVisibilityChange() {
+        if (document.visibilityState === 'hidden' && dirty) autosave.save();
+    }
+
+    const autosave = {
+        /** Starts saving on changes and on the interval */
+        start() {
+            if (intervalId) return;
+            unsubscribers = CHANGE_EVENTS.map(eventName => renderer.on(eventName, markChanged));
+            intervalId = setInterval(() => {
+                if (dirty) autosave.save();
+            }, Constants.AUTOSAVE_INTERVAL_MS);
+            document.addEventListener('visibilitychange', handleVisibilityChange);
+        },
+
+        /** Stops automatic saving (a pending change is not saved) */
+        stop() {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            unsubscribers = [];
+            clearInterval(intervalId);
+            intervalId = null;
+            clearTimeout(debounceId);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+        },
+
+        /** Saves the board now. Resolves to true once it is stored */
+        async save() {
+            // One save at a time; a change made meanwhile is picked up by the next one
+            while (saving) await saving;
+            saving = writeSession().finally(() => {
+                saving = null;
+            });
+            return saving;
+        },
+
+        /** Resolves to the last saved session { savedAt, document }, or null if there is none */
+        async getLastSession() {
+            const db = await getDatabase();
+            if (!db) return null;
+            try {
+                const session = await requestToPromise(db.transaction(SESSION_STORE).objectStore(SESSION_STORE).get(SESSION_KEY));
+                return session || null;
+            } catch (e) {
+                console.warn("Autosave: couldn't read the last session:", e);
+                return null;
+            }
+        },
+
+        /**
+         * Loads a saved session onto the board. Stored image data is served through object URLs,
+         * so images load even when their original source is unreachable. Resolves to true if the
+         * board was loaded.
+         */
+        async restore(session) {
+            const db = await getDatabase();
+            if (!db || !session || !session.document || !Array.isArray(session.document.elements)) return false;
+            try {
+                const sources = getImageSources(session.document);
+                const store = db.transaction(IMAGE_STORE).objectStore(IMAGE_STORE);
+                const blobs = await Promise.all(sources.map(src => requestToPromise(store.get(src))));
+                sources.forEach((src, i) => {
+                    if (blobs[i]) renderer.imageSources.set(src, URL.createObjectURL(blobs[i]));
+                });
+            } catch (e) {
+                // The board still loads; its images come from their original sources
+                console.warn("Autosave: couldn't read stored image data:", e);
+            }
+            const loaded = renderer.load(session.document);
+            if (loaded) {
+                lastSaved = JSON.stringify(session.document);
+                dirty = false;
+            }
+            return loaded;
+        },
+
+        /** Deletes the saved session and image data */
+        async clear() {
+            const db = await getDatabase();
+            if (!db) return false;
+            const tx = db.transaction([SESSION_STORE, IMAGE_STORE], 'readwrite');
+            tx.objectStore(SESSION_STORE).clear();
+            tx.objectStore(IMAGE_STORE).clear();
+            await transactionDone(tx);
+            storedImages.clear();
+            lastSaved = null;
+            return true;
+        }
+    };
+
+    async function writeSession() {
+        const db = await getDatabase();
+        if (!db) return false;
+        dirty = false;
+        const doc = serializeDocument(renderer);
+        const json = JSON.stringify(doc);
+        if (json === lastSaved) return true;
+
+        // Fetch new image files first: a transaction commits as soon as it has nothing to do,
+        // so it can't stay open across network requests
+        const sources = getImageSources(doc);
+        const newImages = await Promise.all(
+            sources
+                .filter(src => !storedImages.has(src) && !unavailableImages.has(src))
+                .map(async src => ({ src, blob: await fetchImageData(src) }))
+        );
+        newImages.forEach(({ src, blob }) => {
+            if (!blob) unavailableImages.add(src);
+        });
+
+        const tx = db.transaction([SESSION_STORE, IMAGE_STORE], 'readwrite');
+        tx.objectStore(SESSION_STORE).put({ savedAt: Date.now(), document: doc }, SESSION_KEY);
+        const images = tx.objectStore(IMAGE_STORE);
+        newImages.forEach(({ src, blob }) => {
+            if (blob) images.put(blob, src);
+        });
+        // Drop image data nothing refers to any more
+        const referenced = new Set(sources);
+        const unreferenced = [...storedImages].filter(src => !referenced.has(src));
+        unreferenced.forEach(src => images.delete(src));
+
+        try {
+            await transactionDone(tx);
+        } catch (e) {
+            console.error("Autosave failed:", e);
+            dirty = true; // Try again on the next change or interval
+            return false;
+        }
+        newImages.forEach(({ src, blob }) => {
+            if (blob) storedImages.add(src);
+        });
+        unreferenced.forEach(src => storedImages.delete(src));
+        lastSaved = json;
+        console.log(`Autosaved ${doc.elements.length} elements`);
+        return true;
+    }
+
+    return autosave;
+}
+
+// --- IndexedDB Helpers ---
+
+const SESSION_STORE = 'sessions';
+const IMAGE_STORE = 'images';
+const SESSION_KEY = 'last';
+
+function openDatabase(name) {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not supported'));
+            return;
+        }
+        const request = indexedDB.open(name, 1);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore(SESSION_STORE);
+            db.createObjectStore(IMAGE_STORE); // src -> Blob
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/** Returns the srcs of a document's image elements that need their data stored */
+function getImageSources(doc) {
+    const sources = collectElements(doc.elements) // Saved groups hold their children the same way
+        .filter(el => el.type === 'image' && el.src && !el.src.startsWith('data:')) // Data URLs are already in the document
+        .map(el => el.src);
+    return [...new Set(sources)];
+}
+
+/** Downloads an image's file data, or resolves to null (servers must allow CORS) */
+async function fetchImageData(src) {
+    try {
+        const response = await fetch(src);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.blob();
+    } catch (e) {
+        console.warn(`Autosave: couldn't store image data for ${src}; it will need the network after a restore.`, e);
+        return null;
+    }
+}
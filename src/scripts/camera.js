@@ -0,0 +1,74 @@
+// camera.js
+import * as Constants from './utils/constants.js';
+import { updateEditOverlay } from './editing.js';
+
+/**
+ * Recomputes the screen position of the Cartesian origin from the canvas centre and the pan offset.
+ * Everything that converts coordinates reads renderer.originX/originY, so this is the single place
+ * where the camera's pan is applied.
+ */
+export function updateOrigin(renderer) {
+    renderer.originX = renderer.viewWidth / 2 + renderer.camera.panX;
+    renderer.originY = renderer.viewHeight / 2 + renderer.camera.panY;
+}
+
+/** Moves the view by a screen-space delta (in pixels) */
+export function panBy(renderer, dx, dy) {
+    if (!dx && !dy) return;
+    renderer.camera.panX += dx;
+    renderer.camera.panY += dy;
+    updateOrigin(renderer);
+    onCameraChanged(renderer);
+}
+
+/**
+ * Sets the zoom level while keeping the Cartesian point under (screenX, screenY) fixed on screen.
+ */
+export function zoomAt(renderer, screenX, screenY, newZoom) {
+    const camera = renderer.camera;
+    const clamped = Math.max(Constants.MIN_ZOOM, Math.min(Constants.MAX_ZOOM, newZoom));
+    if (clamped === camera.zoom) return;
+
+    // Cartesian point currently under the cursor
+    const anchor = renderer.toCartesianCoords(screenX, screenY);
+
+    camera.zoom = clamped;
+
+    // Shift the pan so the anchor maps back to the same screen position
+    const centreX = renderer.viewWidth / 2;
+    const centreY = renderer.viewHeight / 2;
+    camera.panX = screenX - centreX - anchor.x * clamped;
+    camera.panY = screenY - centreY + anchor.y * clamped;
+    updateOrigin(renderer);
+    onCameraChanged(renderer);
+}
+
+/** Multiplies the zoom by a factor, anchored at a screen point */
+export function zoomBy(renderer, screenX, screenY, factor) {
+    zoomAt(renderer, screenX, screenY, renderer.camera.zoom * factor);
+}
+
+/** Resets the view so the origin is centred at 100% zoom */
+export function resetView(renderer) {
+    renderer.camera.panX = 0;
+    renderer.camera.panY = 0;
+    renderer.camera.zoom = 1;
+    updateOrigin(renderer);
+    onCameraChanged(renderer);
+}
+
+/** Centres the view on a Cartesian point without changing the zoom */
+export function centerOn(renderer, cartX, cartY) {
+    renderer.camera.panX = -cartX * renderer.camera.zoom;
+    renderer.camera.panY = cartY * renderer.camera.zoom;
+    updateOrigin(renderer);
+    onCameraChanged(renderer);
+}
+
+/** Repaints the scene and keeps the text edit overlay glued to its element after the view moves */
+function onCameraChanged(renderer) {
+    renderer.markEntireCanvasDirty();
+    if (renderer.editingElement) {
+        updateEditOverlay(renderer);
+    }
+}
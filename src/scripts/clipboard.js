@@ -0,0 +1,124 @@
+// clipboard.js
+import * as Constants from './utils/constants.js';
+import { serializeElement, isValidElementData } from './serialization.js';
+import { translateElement } from './elements.js';
+import { addImageFiles } from './imageImport.js';
+import { getGroupOffset } from './utils/groupUtils.js';
+
+/**
+ * Clipboard support. Copied elements travel as JSON in the clipboard's plain text,
+ *   { format: CLIPBOARD_FORMAT, version: 1, elements: [{ type, ...props }] }
+ * with elements in their saved form (see serialization.js), so they can be pasted into another
+ * tab or board. Anything else pasted from the OS becomes a new element at the cursor: image files
+ * and image URLs through addImage, other text through addText.
+ */
+
+// Image links worth turning into an image element rather than a text element
+const IMAGE_URL_PATTERN = /^(https?:\/\/\S+\.(png|jpe?g|gif|webp|svg|avif|bmp)([?#]\S*)?|data:image\/[\w.+-]+;base64,\S+)$/i;
+
+// Renderer -> { payload, count }: repeated pastes of one payload step further from the originals
+const pasteCounts = new WeakMap();
+
+/** Returns the clipboard payload (a JSON string) for the selected elements, or null if nothing is selected */
+export function copySelection(renderer) {
+    const elements = renderer.getSelectedElements();
+    if (elements.length === 0) return null;
+    const payload = JSON.stringify({
+        format: Constants.CLIPBOARD_FORMAT,
+        version: 1,
+        elements: elements.map(el => {
+            const props = stripIds(serializeElement(renderer, el)); // Pasted copies get new ids
+            // Something picked inside a group is copied at its place on the board
+            const offset = getGroupOffset(el);
+            if (offset.x || offset.y) translateElement(props, offset.x, offset.y);
+            return props;
+        })
+    });
+    pasteCounts.set(renderer, { payload, count: 0 });
+    return payload;
+}
+
+/** Returns a saved element without its id, or the ids of the elements in a saved group */
+function stripIds({ id: _id, ...props }) {
+    if (props.type === 'group') props.children = props.children.map(stripIds);
+    return props;
+}
+
+/** Copies the selected elements like copySelection, then deletes them as one undo step */
+export function cutSelection(renderer) {
+    const elements = renderer.getSelectedElements();
+    const payload = copySelection(renderer);
+    if (!payload) return null;
+    renderer.history.transaction('Cut', () => elements.forEach(el => renderer.removeElement(el)));
+    return payload;
+}
+
+/** Returns the element list of a clipboard payload, or null if the text isn't one */
+export function parseClipboardPayload(text) {
+    if (typeof text !== 'string' || !text.trimStart().startsWith('{')) return null;
+    try {
+        const data = JSON.parse(text);
+        return data && data.format === Constants.CLIPBOARD_FORMAT && Array.isArray(data.elements) ? data.elements : null;
+    } catch (e) {
+        return null; // Just text that happens to start with a brace
+    }
+}
+
+/**
+ * Adds copies of the elements in a clipboard payload as one undo step and selects them.
+ * Copies get fresh ids (from nextElementId) and are moved down and right of the originals, a bit
+ * further on each repeated paste. Returns the new elements ([] if the payload can't be read).
+ */
+export function pasteElements(renderer, payload) {
+    const items = parseClipboardPayload(payload);
+    if (!items) {
+        console.warn("Nothing to paste: the clipboard doesn't hold copied elements.");
+        return [];
+    }
+    const previous = pasteCounts.get(renderer);
+    const count = previous && previous.payload === payload ? previous.count + 1 : 1;
+    pasteCounts.set(renderer, { payload, count });
+    const offset = Constants.PASTE_OFFSET * count;
+
+    const pasted = renderer.history.transaction('Paste', () => items.map(({ type, ...props }) => {
+        if (!isValidElementData(type, props)) {
+            console.warn(`Skipping a pasted ${type} element: its position or size is missing or not a number.`);
+            return null;
+        }
+        const moved = { ...props, type };
+        if (type === 'bezier' || (typeof moved.x === 'number' && typeof moved.y === 'number')) {
+            translateElement(moved, offset, -offset); // Y is up, so -offset moves down
+        }
+        delete moved.type;
+        return renderer.addElementOfType(type, moved);
+    }).filter(Boolean));
+    if (pasted.length > 0) renderer.setSelection(pasted);
+    console.log(`Pasted ${pasted.length} elements`);
+    return pasted;
+}
+
+/**
+ * Pastes a clipboard DataTransfer: copied elements if it holds some, otherwise image files, an
+ * image URL or plain text, which become a new element at `at` (Cartesian). Resolves to the added
+ * elements. Read the data before awaiting anything else; it is only valid during the paste event.
+ */
+export async function pasteClipboardData(renderer, data, at) {
+    const text = data.getData('text/plain');
+    if (parseClipboardPayload(text)) return pasteElements(renderer, text);
+
+    const files = [...data.files].filter(file => file.type.startsWith('image/'));
+    // text/uri-list holds one URL per line, with '#' comment lines
+    const uri = (data.getData('text/uri-list') || text).split(/\r?\n/).map(line => line.trim()).find(line => line && !line.startsWith('#'));
+
+    if (files.length > 0) return addImageFiles(renderer, files, at); // Scaled down and laid out like dropped files
+
+    let added = [];
+    if (uri && IMAGE_URL_PATTERN.test(uri)) {
+        added = [renderer.addImage(at.x, at.y, uri)];
+    } else if (text.trim()) {
+        added = [renderer.addText(at.x, at.y, text)];
+    }
+    added = added.filter(Boolean);
+    if (added.length > 0) renderer.setSelection(added);
+    return added;
+}
@@ -0,0 +1,204 @@
+// componentExport.js
+import { describeBoard, escapeHTML, formatDeclarations, px } from './htmlExport.js';
+
+/**
+ * Component code export. Turns a region of the board into a single React (JSX + CSS module) or
+ * Vue (single-file component with scoped styles) component, using the same layout as the HTML
+ * export (see describeBoard). Text contents and image sources become props, with the current
+ * values as defaults, so the component can be reused with different copy and pictures.
+ */
+
+const DEFAULT_OPTIONS = {
+    framework: 'react',      // 'react' or 'vue'
+    name: 'BoardComponent',  // Component name (also the file name)
+    region: 'content',       // What to export: 'content', 'selection', 'viewport' or a Cartesian rect
+    padding: 0,              // Extra space around the region, in Cartesian units (= CSS pixels)
+    background: null         // Container background (null for transparent)
+};
+
+// Words that can't be used as prop names
+const RESERVED_NAMES = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+    'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+    'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+    'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static', 'enum', 'await',
+    'styles', 'key', 'ref', 'children'
+]);
+
+const INDENT = '    ';
+
+/** Converts a name to PascalCase, as required for component names */
+function toComponentName(name) {
+    const words = String(name).match(/[A-Za-z0-9]+/g) || [];
+    const pascal = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    return /^[A-Za-z]/.test(pascal) ? pascal : `Board${pascal}`;
+}
+
+/** Builds a camelCase prop name from the first few words of a text, or null if there are none */
+function propNameFromText(text) {
+    const words = (String(text).match(/[A-Za-z0-9]+/g) || []).slice(0, 3).map(word => word.toLowerCase());
+    if (words.length === 0) return null;
+    const name = words[0] + words.slice(1).map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    return /^[a-z]/.test(name) && !RESERVED_NAMES.has(name) ? name : null;
+}
+
+/**
+ * Lays out the region and assigns props: { width, height, items, props, tokenDeclarations }.
+ * Each item is a layout node with a `className` and, for text and images, the `prop` it reads.
+ * Props are { name, value } in document order.
+ */
+function describeComponent(renderer, config) {
+    const board = describeBoard(renderer, { region: config.region, padding: config.padding });
+    const props = [];
+    const used = new Set();
+    let textCount = 0;
+    let imageCount = 0;
+
+    function addProp(base, value) {
+        let name = base;
+        for (let i = 2; used.has(name); i++) name = `${base}${i}`;
+        used.add(name);
+        props.push({ name, value });
+        return name;
+    }
+
+    const items = board.nodes.map(node => {
+        const el = node.element;
+        const item = { ...node, className: `el${el.id}`, style: { ...node.style } };
+        if (node.lines) {
+            textCount++;
+            item.prop = addProp(propNameFromText(el.text) || `text${textCount}`, el.text);
+            // The text is no longer fixed: let CSS wrap it at the wrap width (if any) and let the
+            // box grow with it instead of clipping to the size measured on the canvas
+            item.style['white-space'] = el.width ? 'pre-wrap' : 'pre';
+            if (!el.width) {
+                item.style['min-width'] = item.style.width;
+                delete item.style.width;
+            }
+            item.style['min-height'] = item.style.height;
+            delete item.style.height;
+        } else if (node.tag === 'img') {
+            imageCount++;
+            item.prop = addProp(`image${imageCount}Src`, node.attributes.src);
+        }
+        return item;
+    });
+    return { width: board.width, height: board.height, items, props, tokenDeclarations: renderer.tokens.getCSSDeclarations() };
+}
+
+/** Builds the stylesheet shared by both frameworks (class names are local to the component) */
+function buildStylesheet(layout, config) {
+    const containerStyle = {
+        position: 'relative',
+        width: px(layout.width),
+        height: px(layout.height),
+        overflow: 'hidden'
+    };
+    if (config.background) containerStyle['background-color'] = config.background;
+    // Design tokens are declared on the component's root (a :root rule wouldn't survive Vue's scoping)
+    Object.assign(containerStyle, layout.tokenDeclarations);
+
+    const rules = [`.board {\n${formatDeclarations(containerStyle, INDENT)}\n}`];
+    layout.items.forEach(item => {
+        rules.push(`.${item.className} {\n${formatDeclarations(item.style, INDENT)}\n}`);
+        if (item.lines) {
+            rules.push(`.${item.className}Text {\n${INDENT}margin-top: ${px(item.lineOffset)};\n}`);
+        }
+    });
+    return rules.join('\n\n') + '\n';
+}
+
+/**
+ * Renders one item as template markup. `syntax` supplies the framework specifics:
+ *   { classAttr(className), bind(attribute, prop), text(prop), strokeWidth, selfClose }
+ */
+function renderItem(item, syntax) {
+    const open = `<${item.tag} ${syntax.classAttr(item.className)}`;
+    if (item.tag === 'img') return `${open} ${syntax.bind('src', item.prop)} alt=""${syntax.selfClose}>`;
+    if (item.path) {
+        const { d, stroke, strokeWidth } = item.path;
+        const attributes = Object.entries(item.attributes).map(([name, value]) => ` ${name}="${escapeHTML(value)}"`).join('');
+        return `${open}${attributes}><path d="${d}" fill="none" stroke="${escapeHTML(stroke)}" ` +
+            `${syntax.strokeWidth}="${strokeWidth}"/></${item.tag}>`;
+    }
+    if (item.lines) {
+        return `${open}><div ${syntax.classAttr(`${item.className}Text`)}>${syntax.text(item.prop)}</div></${item.tag}>`;
+    }
+    return `${open}></${item.tag}>`;
+}
+
+/** Returns the component as a React function component plus its CSS module */
+function buildReact(layout, config, name) {
+    const syntax = {
+        classAttr: className => `className={styles.${className}}`,
+        bind: (attribute, prop) => `${attribute}={${prop}}`,
+        text: prop => `{${prop}}`,
+        strokeWidth: 'strokeWidth',
+        selfClose: ' /'
+    };
+    const params = layout.props.length > 0
+        ? `{\n${layout.props.map(prop => `${INDENT}${prop.name} = ${JSON.stringify(prop.value)}`).join(',\n')}\n}`
+        : '';
+    const body = layout.items.map(item => `${INDENT.repeat(3)}${renderItem(item, syntax)}`).join('\n');
+
+    const jsx = `import styles from './${name}.module.css';
+
+export default function ${name}(${params}) {
+    return (
+        <div className={styles.board}>
+${body}
+        </div>
+    );
+}
+`;
+    return [
+        { filename: `${name}.jsx`, content: jsx },
+        { filename: `${name}.module.css`, content: buildStylesheet(layout, config) }
+    ];
+}
+
+/** Returns the component as a Vue single-file component with scoped styles */
+function buildVue(layout, config, name) {
+    const syntax = {
+        classAttr: className => `class="${className}"`,
+        bind: (attribute, prop) => `:${attribute}="${prop}"`,
+        text: prop => `{{ ${prop} }}`,
+        strokeWidth: 'stroke-width',
+        selfClose: ''
+    };
+    const props = layout.props.length > 0
+        ? `{\n${layout.props.map(prop => `${INDENT}${prop.name}: { type: String, default: ${JSON.stringify(prop.value)} }`).join(',\n')}\n}`
+        : '{}';
+    const body = layout.items.map(item => `${INDENT.repeat(2)}${renderItem(item, syntax)}`).join('\n');
+
+    const sfc = `<script setup>
+defineProps(${props});
+</script>
+
+<template>
+    <div class="board">
+${body}
+    </div>
+</template>
+
+<style scoped>
+${buildStylesheet(layout, config)}</style>
+`;
+    return [{ filename: `${name}.vue`, content: sfc }];
+}
+
+/**
+ * Exports a region of the board as a component. Returns [{ filename, content }]: `Name.jsx` and
+ * `Name.module.css` for React, `Name.vue` for Vue; or null for an unknown framework.
+ * Options: { framework, name, region, padding, background }.
+ */
+export function exportComponent(renderer, options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const name = toComponentName(config.name);
+    const layout = describeComponent(renderer, config);
+
+    if (config.framework === 'react') return buildReact(layout, config, name);
+    if (config.framework === 'vue') return buildVue(layout, config, name);
+    console.error(`Component export: unknown framework "${config.framework}" (expected 'react' or 'vue').`);
+    return null;
+}
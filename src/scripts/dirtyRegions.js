@@ -1,6 +1,11 @@
 // dirtyRegions.js
 import { getElementScreenBounds } from './utils/interactionUtils.js';
 
+/**
+ * Dirty regions are kept in CSS pixels (the same units as mouse events and toScreenCoords);
+ * the renderer snaps them to the device pixel grid when it clears them.
+ */
+
 /** Marks the screen area occupied by an element as dirty */
 export function markDirty(renderer, element) {
     const bounds = getElementScreenBounds(renderer, element);
@@ -18,8 +23,21 @@ export function markDirty(renderer, element) {
 /** Marks the entire canvas as dirty for a full redraw */
 export function markEntireCanvasDirty(renderer) {
     renderer.fullRedraw = true;
+    renderer.overlayDirty = true; // Whatever moved the whole scene moved the overlay's contents too
     // Optional: Clear specific regions and just add one large one
-    renderer.dirtyRegions = [{ x: 0, y: 0, width: renderer.canvas.width, height: renderer.canvas.height }];
+    renderer.dirtyRegions = [{ x: 0, y: 0, width: renderer.viewWidth, height: renderer.viewHeight }];
+}
+
+/**
+ * Expands a region (CSS pixels) outward to whole device pixels, plus a one CSS pixel buffer,
+ * so clearing and clipping it never leaves half-covered device pixels behind on high-DPI screens.
+ */
+export function snapRegionToDevicePixels(region, pixelRatio = 1) {
+    const left = Math.floor(region.x * pixelRatio) / pixelRatio;
+    const top = Math.floor(region.y * pixelRatio) / pixelRatio;
+    const right = Math.ceil((region.x + region.width + 1) * pixelRatio) / pixelRatio;
+    const bottom = Math.ceil((region.y + region.height + 1) * pixelRatio) / pixelRatio;
+    return { x: left, y: top, width: right - left, height: bottom - top };
 }
 
 /** Checks if two rectangular regions overlap */
@@ -3,18 +3,42 @@
 import * as Constants from './utils/constants.js';
 import { toScreenCoords, toCartesianCoords } from './utils/coordinates.js';
 import { updateTextMetrics } from './utils/textUtils.js';
-import { getResizeHandles } from './utils/interactionUtils.js';
+import { createOffsetView } from './utils/groupUtils.js';
+import {
+    getResizeHandles, getResizeHandleTypes, getRotateHandle, getElementScreenBounds, getSelectionBounds,
+    getUnrotatedBounds, getElementBoxPoint
+} from './utils/interactionUtils.js';
+
+/**
+ * Turns a context by an element's rotation around the centre of its unrotated box, so the element
+ * can then be drawn as if it weren't rotated. The caller saves and restores the context.
+ */
+function rotateContext(renderer, ctx, el) {
+    if (!el.rotation) return;
+    const box = getUnrotatedBounds(renderer, el);
+    if (!box) return;
+    const center = toScreenCoords((box.minX + box.maxX) / 2, (box.minY + box.maxY) / 2, renderer.originX, renderer.originY, renderer.zoom);
+    ctx.translate(center.x, center.y);
+    ctx.rotate(-el.rotation * Math.PI / 180); // Counterclockwise on screen, where Y points down
+    ctx.translate(-center.x, -center.y);
+}
 
 /** Draws a rectangle element */
 export function drawRectElement(renderer, el) {
     const ctx = renderer.ctx;
-    const screenCoords = toScreenCoords(el.x, el.y, renderer.originX, renderer.originY);
+    const zoom = renderer.zoom;
+    const screenCoords = toScreenCoords(el.x, el.y, renderer.originX, renderer.originY, zoom);
     // Calculate top-left corner from center coordinates
-    const screenX = screenCoords.x - el.width / 2;
-    const screenY = screenCoords.y - el.height / 2;
+    const screenWidth = el.width * zoom;
+    const screenHeight = el.height * zoom;
+    const screenX = screenCoords.x - screenWidth / 2;
+    const screenY = screenCoords.y - screenHeight / 2;
 
+    ctx.save();
+    rotateContext(renderer, ctx, el);
     ctx.fillStyle = el.color;
-    ctx.fillRect(screenX, screenY, el.width, el.height);
+    ctx.fillRect(screenX, screenY, screenWidth, screenHeight);
+    ctx.restore();
 
     // Optional: Draw coordinates (for debugging)
     // ctx.fillStyle = "black";
@@ -31,9 +55,15 @@ export function drawTextElement(renderer, el) {
         updateTextMetrics(ctx, el);
     }
 
-    const screenCoords = toScreenCoords(el.x, el.y, renderer.originX, renderer.originY);
+    const anchor = toScreenCoords(el.x, el.y, renderer.originX, renderer.originY, renderer.zoom);
 
     ctx.save();
+    rotateContext(renderer, ctx, el);
+    // Text metrics are measured in Cartesian units, so draw in a local space scaled by the zoom
+    // with the element's anchor point at (0, 0)
+    ctx.translate(anchor.x, anchor.y);
+    ctx.scale(renderer.zoom, renderer.zoom);
+    const screenCoords = { x: 0, y: 0 };
     ctx.font = `${el.fontStyle} ${el.fontWeight} ${el.fontSize}px ${el.fontFamily}`;
 
     // Calculate bounding box based on alignment and padding
@@ -99,9 +129,27 @@ export function drawTextElement(renderer, el) {
     ctx.restore();
 }
 
+/** Draws a group element: its children, back-to-front, in the group's own coordinates */
+export function drawGroupElement(renderer, el) {
+    const view = createOffsetView(renderer, el.x, el.y);
+    el.children.forEach(child => {
+        if (child === renderer.editingElement) return; // Covered by the edit overlay
+        view.drawElementByType(child);
+    });
+}
+
 /** Draws an image element or a placeholder */
 export function drawImageElement(renderer, el) {
     const ctx = renderer.ctx;
+    ctx.save();
+    rotateContext(renderer, ctx, el);
+    drawImageContent(renderer, el);
+    ctx.restore();
+}
+
+/** Draws an image (or its placeholder) in the element's unrotated space */
+function drawImageContent(renderer, el) {
+    const ctx = renderer.ctx;
 
     // Ensure width/height are numbers before proceeding
      if (typeof el.width !== 'number' || typeof el.height !== 'number') {
@@ -120,36 +168,178 @@ export function drawImageElement(renderer, el) {
     }
 
 
-    const screenCoords = toScreenCoords(el.x, el.y, renderer.originX, renderer.originY);
-    const screenX = screenCoords.x - el.width / 2; // Top-left X
-    const screenY = screenCoords.y - el.height / 2; // Top-left Y
+    const zoom = renderer.zoom;
+    const screenCoords = toScreenCoords(el.x, el.y, renderer.originX, renderer.originY, zoom);
+    const screenWidth = el.width * zoom;
+    const screenHeight = el.height * zoom;
+    const screenX = screenCoords.x - screenWidth / 2; // Top-left X
+    const screenY = screenCoords.y - screenHeight / 2; // Top-left Y
 
     // Draw the image with opacity
     const originalAlpha = ctx.globalAlpha;
     ctx.globalAlpha = el.opacity;
     try {
-        ctx.drawImage(el.image, screenX, screenY, el.width, el.height);
+        ctx.drawImage(el.image, screenX, screenY, screenWidth, screenHeight);
     } catch (e) {
         console.error(`Error drawing image ${el.id} (src: ${el.src}):`, e);
         // Optionally draw an error placeholder here instead
          drawPlaceholder(renderer, el, "Draw Error");
     }
     ctx.globalAlpha = originalAlpha; // Restore original alpha
+    // Selection border and handles are drawn on the interaction overlay (see drawOverlay)
+}
+
+/**
+ * Repaints the interaction overlay: hover highlight, selection chrome, the rubber band and the pen preview.
+ * The overlay is cleared completely each time; it only ever holds a few shapes.
+ */
+export function drawOverlay(renderer) {
+    const ctx = renderer.overlayCtx;
+    ctx.clearRect(0, 0, renderer.viewWidth, renderer.viewHeight);
+
+    // Hover highlight (select tool only, and not on elements that are already selected)
+    const hovered = renderer.hoveredElement;
+    if (hovered && renderer.currentTool === 'select' && !renderer.isSelected(hovered) &&
+        hovered !== renderer.editingElement && !renderer.dragging && !renderer.resizing && !renderer.rotating) {
+        drawElementOutline(renderer, hovered, Constants.HOVER_COLOR, []);
+    }
+
+    // The entered group, whose children are being picked
+    if (renderer.activeGroup) {
+        drawElementOutline(renderer, renderer.activeGroup, Constants.HOVER_COLOR, Constants.SELECTION_DASH);
+    }
+
+    // Selection chrome: a single element gets its outline and resize handles (if it has any);
+    // several get an outline each plus their combined bounding box
+    const selected = renderer.selectedElement;
+    if (selected && !renderer.editingElement) {
+        if (getResizeHandleTypes(selected).length > 0 && getElementScreenBounds(renderer, selected).left !== null) {
+            drawSelectionHandles(renderer, selected);
+        } else {
+            drawElementOutline(renderer, selected, Constants.SELECTION_COLOR, Constants.SELECTION_DASH);
+        }
+    } else if (renderer.selection.size > 1) {
+        renderer.selection.forEach(el => drawElementOutline(renderer, el, Constants.SELECTION_COLOR, Constants.SELECTION_DASH));
+        drawSelectionBox(renderer);
+    }
+
+    // Lines the dragged or resized element has snapped to
+    if (renderer.snapGuides.length > 0) {
+        drawSnapGuides(renderer);
+    }
+
+    // Rubber band (select tool drag on empty canvas)
+    if (renderer.marquee) {
+        drawMarquee(renderer);
+    }
 
-    // Draw selection border and handles if this element is selected
-    if (el === renderer.selectedElement && !renderer.editingElement) {
-        drawSelectionHandles(renderer, el, screenX, screenY);
+    // Pen tool preview, if we are in a drawing state and have at least the starting point defined
+    if (renderer.bezierDrawingState !== 'idle' && renderer.currentCurvePoints.p0) {
+        drawBezierPreview(renderer);
     }
 }
 
+/** Strokes an element's box on the overlay (turned with the element if it is rotated) */
+function drawElementOutline(renderer, el, color, dash) {
+    const ctx = renderer.overlayCtx;
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = Constants.SELECTION_LINE_WIDTH;
+    ctx.setLineDash(dash);
+    if (el.rotation) {
+        if (!traceElementBox(renderer, ctx, el)) {
+            ctx.restore();
+            return;
+        }
+        ctx.stroke();
+    } else {
+        const bounds = getElementScreenBounds(renderer, el);
+        if (bounds.left !== null) ctx.strokeRect(bounds.left + 0.5, bounds.top + 0.5, bounds.width, bounds.height);
+    }
+    ctx.restore();
+}
+
+/** Adds the four corners of an element's rotated box to a new path; returns false if its size is unknown */
+function traceElementBox(renderer, ctx, el) {
+    const corners = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([fx, fy]) => getElementBoxPoint(renderer, el, fx, fy));
+    if (corners.some(corner => !corner)) return false;
+    ctx.beginPath();
+    corners.forEach((corner, index) => {
+        const screen = renderer.toScreenCoords(corner.x, corner.y);
+        if (index === 0) ctx.moveTo(screen.x, screen.y);
+        else ctx.lineTo(screen.x, screen.y);
+    });
+    ctx.closePath();
+    return true;
+}
+
+/** Strokes the combined screen bounding box of a multi-element selection */
+function drawSelectionBox(renderer) {
+    const bounds = getSelectionBounds(renderer);
+    if (!bounds) return;
+    const topLeft = renderer.toScreenCoords(bounds.minX, bounds.maxY);
+    const bottomRight = renderer.toScreenCoords(bounds.maxX, bounds.minY);
+    const ctx = renderer.overlayCtx;
+    ctx.save();
+    ctx.strokeStyle = Constants.SELECTION_COLOR;
+    ctx.lineWidth = Constants.SELECTION_LINE_WIDTH;
+    ctx.strokeRect(topLeft.x - 0.5, topLeft.y - 0.5, bottomRight.x - topLeft.x + 1, bottomRight.y - topLeft.y + 1);
+    ctx.restore();
+}
+
+/** Draws the rubber-band rectangle of an in-progress marquee selection */
+function drawMarquee(renderer) {
+    const { start, end } = renderer.marquee;
+    const x = Math.min(start.x, end.x);
+    const y = Math.min(start.y, end.y);
+    const width = Math.abs(end.x - start.x);
+    const height = Math.abs(end.y - start.y);
+    const ctx = renderer.overlayCtx;
+    ctx.save();
+    ctx.fillStyle = Constants.MARQUEE_FILL;
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeStyle = Constants.MARQUEE_STROKE;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x + 0.5, y + 0.5, width, height);
+    ctx.restore();
+}
+
+/** Draws the snap guides as dashed lines; guides without ends (the axes) cross the whole view */
+function drawSnapGuides(renderer) {
+    const ctx = renderer.overlayCtx;
+    ctx.save();
+    ctx.strokeStyle = Constants.SNAP_GUIDE_COLOR;
+    ctx.lineWidth = 1;
+    ctx.setLineDash(Constants.SNAP_GUIDE_DASH);
+    ctx.beginPath();
+    renderer.snapGuides.forEach(guide => {
+        if (guide.axis === 'x') {
+            const x = Math.round(renderer.toScreenCoords(guide.value, 0).x) + 0.5; // Crisp 1px line
+            const top = guide.to === null ? 0 : renderer.toScreenCoords(0, guide.to).y;
+            const bottom = guide.from === null ? renderer.viewHeight : renderer.toScreenCoords(0, guide.from).y;
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+        } else {
+            const y = Math.round(renderer.toScreenCoords(0, guide.value).y) + 0.5;
+            const left = guide.from === null ? 0 : renderer.toScreenCoords(guide.from, 0).x;
+            const right = guide.to === null ? renderer.viewWidth : renderer.toScreenCoords(guide.to, 0).x;
+            ctx.moveTo(left, y);
+            ctx.lineTo(right, y);
+        }
+    });
+    ctx.stroke();
+    ctx.restore();
+}
+
 /** Draws a placeholder for loading/error states */
 export function drawPlaceholder(renderer, el, text = "") {
     const ctx = renderer.ctx;
-    const screenCoords = toScreenCoords(el.x, el.y, renderer.originX, renderer.originY);
+    const zoom = renderer.zoom;
+    const screenCoords = toScreenCoords(el.x, el.y, renderer.originX, renderer.originY, zoom);
 
     // Use element's width/height if available, otherwise default
-    const width = typeof el.width === 'number' ? el.width : 50;
-    const height = typeof el.height === 'number' ? el.height : 50;
+    const width = (typeof el.width === 'number' ? el.width : 50) * zoom;
+    const height = (typeof el.height === 'number' ? el.height : 50) * zoom;
     const screenX = screenCoords.x - width / 2;
     const screenY = screenCoords.y - height / 2;
 
@@ -170,18 +360,32 @@ export function drawPlaceholder(renderer, el, text = "") {
     ctx.restore();
 }
 
-/** Draws the selection border and resize handles for an element */
-export function drawSelectionHandles(renderer, el, screenX, screenY) {
-    const ctx = renderer.ctx;
+/** Draws the selection border, resize handles and rotate handle for an element on the overlay */
+export function drawSelectionHandles(renderer, el) {
+    const ctx = renderer.overlayCtx;
     ctx.save();
 
-    // Draw dashed selection border
+    // Draw dashed selection border (along the element's box, so it turns with a rotated element)
     ctx.strokeStyle = Constants.SELECTION_COLOR;
     ctx.lineWidth = Constants.SELECTION_LINE_WIDTH;
     ctx.setLineDash(Constants.SELECTION_DASH);
-    ctx.strokeRect(screenX, screenY, el.width, el.height);
+    if (traceElementBox(renderer, ctx, el)) ctx.stroke();
     ctx.setLineDash([]); // Reset dash pattern
 
+    // Rotate handle: a knob above the top edge, on a stem
+    const rotateHandle = getRotateHandle(renderer, el);
+    if (rotateHandle) {
+        ctx.beginPath();
+        ctx.moveTo(rotateHandle.base.x, rotateHandle.base.y);
+        ctx.lineTo(rotateHandle.x, rotateHandle.y);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(rotateHandle.x, rotateHandle.y, Constants.HANDLE_SIZE / 2, 0, Math.PI * 2);
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.stroke();
+    }
+
     // Draw resize handles
     const handles = getResizeHandles(renderer, el); // Get handle screen positions
     ctx.fillStyle = Constants.HANDLE_COLOR;
@@ -197,28 +401,139 @@ export function drawSelectionHandles(renderer, el, screenX, screenY) {
     ctx.restore();
 }
 
-/** Draws the Cartesian axes */
+/**
+ * Picks a "nice" grid step (1, 2 or 5 times a power of ten, in Cartesian units) so that
+ * major lines end up at least minSpacing screen pixels apart at the given zoom.
+ */
+export function getGridStep(zoom, minSpacing) {
+    const rawStep = minSpacing / zoom;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    for (const multiplier of [1, 2, 5, 10]) {
+        if (magnitude * multiplier >= rawStep) return magnitude * multiplier;
+    }
+    return magnitude * 10;
+}
+
+/** Formats a tick value with only as many decimals as the step needs */
+function formatTickLabel(value, step) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const label = value.toFixed(decimals);
+    return label === `-${(0).toFixed(decimals)}` ? label.slice(1) : label; // Avoid "-0"
+}
+
+/** Snaps a CSS-pixel coordinate to the centre of a device pixel so 1-device-pixel lines stay crisp */
+function snapToDevicePixel(renderer, value) {
+    const ratio = renderer.pixelRatio;
+    return (Math.round(value * ratio) + 0.5) / ratio;
+}
+
+/** Draws grid lines every `step` Cartesian units across the visible range */
+function drawGridLines(renderer, range, step, color) {
+    const ctx = renderer.ctx;
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    // Vertical lines (constant X)
+    for (let x = Math.ceil(range.minX / step) * step; x <= range.maxX; x += step) {
+        const sx = snapToDevicePixel(renderer, renderer.toScreenCoords(x, 0).x);
+        ctx.moveTo(sx, 0);
+        ctx.lineTo(sx, renderer.viewHeight);
+    }
+    // Horizontal lines (constant Y)
+    for (let y = Math.ceil(range.minY / step) * step; y <= range.maxY; y += step) {
+        const sy = snapToDevicePixel(renderer, renderer.toScreenCoords(0, y).y);
+        ctx.moveTo(0, sy);
+        ctx.lineTo(renderer.viewWidth, sy);
+    }
+    ctx.stroke();
+}
+
+/**
+ * Draws numeric tick marks and labels along both axes. When an axis is scrolled out of view
+ * its labels stick to the nearest canvas edge so coordinates stay readable.
+ */
+function drawTickLabels(renderer, range, step) {
+    const ctx = renderer.ctx;
+    const grid = renderer.gridOptions;
+    const tick = Constants.GRID_TICK_SIZE;
+    const margin = 4;
+
+    // Screen position of each axis, clamped so labels stay on the canvas
+    const axisY = Math.min(Math.max(renderer.originY, margin), renderer.viewHeight - grid.labelFontSize - margin - tick);
+    const axisX = Math.min(Math.max(renderer.originX, margin + tick), renderer.viewWidth - margin);
+
+    ctx.fillStyle = Constants.GRID_LABEL_COLOR;
+    ctx.strokeStyle = Constants.AXIS_COLOR;
+    ctx.font = `${grid.labelFontSize}px sans-serif`;
+
+    // X axis labels, below the axis
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let x = Math.ceil(range.minX / step) * step; x <= range.maxX; x += step) {
+        if (Math.abs(x) < step / 2) continue; // Origin gets its own label
+        const sx = renderer.toScreenCoords(x, 0).x;
+        ctx.beginPath();
+        ctx.moveTo(sx, axisY - tick / 2);
+        ctx.lineTo(sx, axisY + tick / 2);
+        ctx.stroke();
+        ctx.fillText(formatTickLabel(x, step), sx, axisY + tick / 2 + 2);
+    }
+
+    // Y axis labels, left of the axis
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    for (let y = Math.ceil(range.minY / step) * step; y <= range.maxY; y += step) {
+        if (Math.abs(y) < step / 2) continue;
+        const sy = renderer.toScreenCoords(0, y).y;
+        ctx.beginPath();
+        ctx.moveTo(axisX - tick / 2, sy);
+        ctx.lineTo(axisX + tick / 2, sy);
+        ctx.stroke();
+        ctx.fillText(formatTickLabel(y, step), axisX - tick / 2 - 2, sy);
+    }
+
+    // Origin label
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'top';
+    ctx.fillText('0', renderer.originX - 3, renderer.originY + 3);
+}
+
+/** Draws the background grid, the Cartesian axes and their tick labels */
 export function drawAxes(renderer) {
     const ctx = renderer.ctx;
-    const canvas = renderer.canvas;
     const originX = renderer.originX;
     const originY = renderer.originY;
+    const zoom = renderer.zoom;
 
     ctx.save();
     ctx.strokeStyle = Constants.AXIS_COLOR;
     ctx.lineWidth = 1;
 
     // Get screen coordinates for axes extremes (slightly off-canvas)
-    const minCartX = toCartesianCoords(0, 0, originX, originY).x - 5;
-    const maxCartX = toCartesianCoords(canvas.width, 0, originX, originY).x + 5;
-    const minCartY = toCartesianCoords(0, canvas.height, originX, originY).y - 5;
-    const maxCartY = toCartesianCoords(0, 0, originX, originY).y + 5;
-
-    const xAxisStart = toScreenCoords(minCartX, 0, originX, originY);
-    const xAxisEnd = toScreenCoords(maxCartX, 0, originX, originY);
-    const yAxisStart = toScreenCoords(0, maxCartY, originX, originY);
-    const yAxisEnd = toScreenCoords(0, minCartY, originX, originY);
-    const originScreen = toScreenCoords(0, 0, originX, originY);
+    const minCartX = toCartesianCoords(0, 0, originX, originY, zoom).x - 5 / zoom;
+    const maxCartX = toCartesianCoords(renderer.viewWidth, 0, originX, originY, zoom).x + 5 / zoom;
+    const minCartY = toCartesianCoords(0, renderer.viewHeight, originX, originY, zoom).y - 5 / zoom;
+    const maxCartY = toCartesianCoords(0, 0, originX, originY, zoom).y + 5 / zoom;
+
+    const xAxisStart = toScreenCoords(minCartX, 0, originX, originY, zoom);
+    const xAxisEnd = toScreenCoords(maxCartX, 0, originX, originY, zoom);
+    const yAxisStart = toScreenCoords(0, maxCartY, originX, originY, zoom);
+    const yAxisEnd = toScreenCoords(0, minCartY, originX, originY, zoom);
+    const originScreen = toScreenCoords(0, 0, originX, originY, zoom);
+
+    // Draw the adaptive grid underneath the axes
+    const grid = renderer.gridOptions;
+    const visibleRange = { minX: minCartX, maxX: maxCartX, minY: minCartY, maxY: maxCartY };
+    const majorStep = getGridStep(zoom, grid.majorSpacing);
+    if (grid.visible) {
+        ctx.lineWidth = 1;
+        const minorStep = majorStep / grid.subdivisions;
+        // Skip minor lines once they would be packed too tightly to read
+        if (grid.subdivisions > 1 && minorStep * zoom >= Constants.GRID_MIN_MINOR_SPACING) {
+            drawGridLines(renderer, visibleRange, minorStep, grid.minorColor);
+        }
+        drawGridLines(renderer, visibleRange, majorStep, grid.majorColor);
+        ctx.strokeStyle = Constants.AXIS_COLOR;
+    }
 
     // Draw X axis
     ctx.beginPath();
@@ -238,13 +553,17 @@ export function drawAxes(renderer) {
     ctx.arc(originScreen.x, originScreen.y, 3, 0, Math.PI * 2);
     ctx.fill();
 
+    if (grid.visible && grid.showLabels) {
+        drawTickLabels(renderer, visibleRange, majorStep);
+    }
+
     ctx.restore();
 }
 
 // Draws temporary points, handles, and curve preview during creation
 /** Draws temporary points, handles, and curve preview during creation */
 export function drawBezierPreview(renderer) {
-    const ctx = renderer.ctx;
+    const ctx = renderer.overlayCtx;
     const state = renderer.bezierDrawingState; // 'idle', 'definingP1', 'p1Defined', 'definingP2'
     const points = renderer.currentCurvePoints; // {p0, p1, p3}
     const style = renderer.bezierPreviewStyle;
@@ -326,7 +645,7 @@ export function drawBezierPreview(renderer) {
         // Draw using P0, P1, P3 and the calculated REFLECTED P2 for preview
         if (p0_screen && p1_screen && p3_screen && p2_screen_preview) {
             ctx.strokeStyle = renderer.bezierCurveStyle.color;
-            ctx.lineWidth = renderer.bezierCurveStyle.lineWidth;
+            ctx.lineWidth = renderer.bezierCurveStyle.lineWidth * renderer.zoom;
             // Optional: Dashed line for preview
             // ctx.setLineDash([4, 4]);
             ctx.beginPath();
@@ -359,7 +678,7 @@ export function drawBezierElement(renderer, el) {
 
     ctx.save(); // Save current styles
     ctx.strokeStyle = el.color || 'black';     // Use element's color or default to black
-    ctx.lineWidth = el.lineWidth || 1;         // Use element's line width or default to 2
+    ctx.lineWidth = (el.lineWidth || 1) * renderer.zoom; // Line width is in Cartesian units
     ctx.beginPath();                           // Start a new path
     ctx.moveTo(p0.x, p0.y);                    // Move to the starting point (P0)
     ctx.bezierCurveTo(p1.x, p1.y, p2.x, p2.y, p3.x, p3.y); // Draw the curve using P1, P2, P3
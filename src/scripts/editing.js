@@ -1,7 +1,9 @@
 // editing.js
-import { updateTextMetrics, wrapText } from './utils/textUtils.js';
+import { layoutText, updateTextMetrics } from './utils/textUtils.js';
 import { markDirty } from './dirtyRegions.js';
 import { toScreenCoords } from './utils/coordinates.js';
+import { getGroupOffset } from './utils/groupUtils.js';
+import { captureElementState, createElementStateCommand } from './history.js';
 
 let editBlurTimeout = null; // Module-level variable to manage blur timeout
 
@@ -14,7 +16,7 @@ export function startEditing(renderer, element) {
     console.log(`Started editing text element ID ${element.id}`);
 
     // Deselect any other element and stop dragging/resizing
-    renderer.selectedElement = null;
+    renderer.selectElement(null);
     renderer.dragging = false;
     renderer.resizing = false;
     renderer.canvas.style.cursor = 'text'; // Indicate text editing mode
@@ -56,40 +58,50 @@ export function updateEditOverlay(renderer, textarea = null, element = null) {
         updateTextMetrics(renderer.ctx, element);
     }
 
-    const screenPos = toScreenCoords(element.x, element.y, renderer.originX, renderer.originY);
+    const zoom = renderer.zoom;
+    const offset = getGroupOffset(element); // Text inside a group is positioned relative to it
+    const screenPos = toScreenCoords(element.x + offset.x, element.y + offset.y, renderer.originX, renderer.originY, zoom);
     let left, top, width, height;
 
-    // Use the *padded* dimensions for the overlay size
-    width = element.paddedWidth;
-    height = element.paddedHeight;
+    // Use the *padded* dimensions for the overlay size, scaled to the current zoom
+    width = element.paddedWidth * zoom;
+    height = element.paddedHeight * zoom;
+    const padding = element.padding * zoom;
 
      // Calculate top-left based on alignment (consistent with drawing logic)
     switch (element.textAlign) {
-        case 'left': left = screenPos.x - element.padding; break;
+        case 'left': left = screenPos.x - padding; break;
         case 'center': left = screenPos.x - width / 2; break;
-        case 'right': left = screenPos.x - element.maxWidth - element.padding; break;
+        case 'right': left = screenPos.x - element.maxWidth * zoom - padding; break;
         default: left = screenPos.x - width / 2;
     }
     switch (element.textBaseline) {
-        case 'top': top = screenPos.y - element.padding; break;
+        case 'top': top = screenPos.y - padding; break;
         case 'middle': top = screenPos.y - height / 2; break;
-        case 'bottom': top = screenPos.y - element.totalHeight - element.padding; break;
+        case 'bottom': top = screenPos.y - element.totalHeight * zoom - padding; break;
         default: top = screenPos.y - height / 2;
     }
 
+    // Screen coordinates are CSS pixels relative to the canvas; the textarea is positioned
+    // relative to the page, so add the canvas's page offset
+    const canvasRect = renderer.canvas.getBoundingClientRect();
+    left += canvasRect.left + window.scrollX;
+    top += canvasRect.top + window.scrollY;
+
     // Apply styles matching the text element
     textarea.style.position = 'absolute'; // Crucial for positioning
     textarea.style.left = `${left}px`;
     textarea.style.top = `${top}px`;
     textarea.style.width = `${width}px`;
     textarea.style.height = `${height}px`;
-    textarea.style.padding = `${element.padding}px`; // Internal padding for text
+    textarea.style.padding = `${padding}px`; // Internal padding for text
     textarea.style.boxSizing = 'border-box'; // Padding included in width/height
-    textarea.style.font = `${element.fontStyle} ${element.fontWeight} ${element.fontSize}px ${element.fontFamily}`;
+    textarea.style.transform = element.rotation ? `rotate(${-element.rotation}deg)` : ''; // CSS turns clockwise
+    textarea.style.font = `${element.fontStyle} ${element.fontWeight} ${element.fontSize * zoom}px ${element.fontFamily}`;
     textarea.style.lineHeight = `${element.lineHeight}`; // Ensure line height matches
     textarea.style.color = element.color;
     textarea.style.textAlign = element.textAlign;
-    textarea.style.border = `${element.borderWidth}px ${element.borderStyle} ${element.borderColor}`; // Match border
+    textarea.style.border = `${element.borderWidth * zoom}px ${element.borderStyle} ${element.borderColor}`; // Match border
     textarea.style.background = element.background || 'white'; // Ensure visibility
     textarea.style.zIndex = '1000'; // Ensure overlay is on top
     textarea.style.overflow = 'hidden'; // Hide scrollbars initially
@@ -114,15 +126,12 @@ export function stopEditing(renderer, cancel = false) {
     if (!cancel) {
         const newText = textarea.value;
         if (newText !== element.text) {
+            const before = captureElementState(element, ['text', 'lines']);
             element.text = newText;
             // Re-wrap text and update metrics based on the element's potential fixed width
-             const maxWidth = element.width && element.width > 0 ? element.width : null;
-             if (maxWidth) {
-                 element.lines = wrapText(renderer.ctx, newText, maxWidth, element.fontSize, element.fontFamily, element.fontStyle, element.fontWeight);
-             } else {
-                 element.lines = newText.split('\n'); // Simple split if no fixed width
-             }
-            updateTextMetrics(renderer.ctx, element); // Recalculate bounds based on new text/lines
+            layoutText(renderer.ctx, element);
+            renderer.reindexElement(element);
+            renderer.history.record(createElementStateCommand(renderer, element, before, captureElementState(element, ['text', 'lines']), 'Edit text'));
             console.log(`Updated text element ID ${element.id}`);
              markDirty(renderer, element); // Mark updated area dirty
         }
@@ -143,7 +152,7 @@ export function stopEditing(renderer, cancel = false) {
     // Reset state
     renderer.editingElement = null;
     // Re-select the element after editing (optional, but good UX)
-    renderer.selectedElement = element;
+    renderer.selectElement(element);
     renderer.canvas.style.cursor = 'move'; // Or default if element isn't selectable/movable
 
      // Mark dirty again *after* removal to ensure clean redraw
@@ -0,0 +1,132 @@
+// elementTypes.js
+// Built-in element type definitions for the renderer's type registry.
+// Each definition is { create, draw, bounds, hitTest, serialize }:
+//   create(renderer, id, props)          -> new element object (must set `id` and `type`)
+//   draw(renderer, el)                   -> paints the element on renderer.ctx
+//   bounds(renderer, el)                 -> Cartesian { minX, minY, maxX, maxY }, or null if unknown
+//   hitTest(renderer, el, cartX, cartY)  -> true if the Cartesian point hits the element
+//   serialize(renderer, el)              -> plain JSON props that `create` can rebuild the element from
+import * as Drawing from './drawing.js';
+import * as Elements from './elements.js';
+import { updateTextMetrics, TEXT_DEFAULTS } from './utils/textUtils.js';
+import {
+    isRectHit, isTextHit, isBezierHit,
+    getRectBounds, getTextBounds, getBezierBounds, rotateBounds,
+    getGroupBounds, findGroupChildAt
+} from './utils/interactionUtils.js';
+import { serializeElement, isValidElementData } from './serialization.js';
+
+export const BUILT_IN_ELEMENT_TYPES = {
+    rect: {
+        create: (renderer, id, { x, y, width, height, color, rotation }) =>
+            Elements.createRectElement(id, x, y, width, height, color, rotation),
+        draw: Drawing.drawRectElement,
+        bounds: (renderer, el) => rotateBounds(getRectBounds(el), el.rotation),
+        hitTest: (renderer, el, cartX, cartY) => isRectHit(el, cartX, cartY),
+        serialize: (renderer, el) => pick(el, ['x', 'y', 'width', 'height', 'color', 'rotation'])
+    },
+    text: {
+        create: (renderer, id, { x, y, text, ...options }) =>
+            Elements.createTextElement(renderer, id, x, y, text, options),
+        draw: (renderer, el) => {
+            // Ensure metrics are calculated before drawing (drawing func also does this, but good practice)
+            if (typeof el.paddedWidth === 'undefined') {
+                updateTextMetrics(renderer.ctx, el);
+            }
+            Drawing.drawTextElement(renderer, el);
+        },
+        bounds: (renderer, el) => rotateBounds(getTextBounds(renderer, el), el.rotation),
+        hitTest: (renderer, el, cartX, cartY) => {
+            const screen = renderer.toScreenCoords(cartX, cartY);
+            return isTextHit(renderer, el, screen.x, screen.y);
+        },
+        // Lines and metrics are recomputed by createTextElement
+        serialize: (renderer, el) => pick(el, ['x', 'y', 'text', ...Object.keys(TEXT_DEFAULTS)])
+    },
+    image: {
+        create: (renderer, id, { x, y, src, ...options }) =>
+            Elements.createImageElement(renderer, id, x, y, src, options),
+        draw: Drawing.drawImageElement,
+        bounds: (renderer, el) => rotateBounds(getRectBounds(el), el.rotation),
+        hitTest: (renderer, el, cartX, cartY) => isRectHit(el, cartX, cartY),
+        // The live Image and load state are rebuilt by createImageElement
+        serialize: (renderer, el) => pick(el, ['x', 'y', 'src', 'width', 'height', 'opacity', 'rotation'])
+    },
+    bezier: {
+        create: (renderer, id, { points, color, lineWidth }) =>
+            Elements.createBezierElement(id, points, {
+                color: color || renderer.bezierCurveStyle.color,
+                lineWidth: lineWidth || renderer.bezierCurveStyle.lineWidth
+            }),
+        draw: Drawing.drawBezierElement,
+        bounds: (renderer, el) => getBezierBounds(el),
+        hitTest: isBezierHit,
+        serialize: (renderer, el) => ({
+            points: el.points.map(pt => ({ x: pt.x, y: pt.y })),
+            color: el.color,
+            lineWidth: el.lineWidth
+        })
+    },
+    group: {
+        // Children come in their saved form ({ id, type, ...props }); ones without an id (e.g. pasted) get a new one
+        create: (renderer, id, { x = 0, y = 0, children = [] }) => {
+            const members = children.map(({ id: childId, type, ...props }) => {
+                const definition = renderer.elementTypes.get(type);
+                if (!definition) {
+                    console.warn(`Skipping a child of group ${id}: unknown element type "${type}".`);
+                    return null;
+                }
+                if (!isValidElementData(type, props)) {
+                    console.warn(`Skipping a child of group ${id}: its position or size is missing or not a number.`);
+                    return null;
+                }
+                const child = definition.create(renderer, childId ?? renderer.nextElementId++, props);
+                if (child) renderer.tokens.attach(child, props.tokens);
+                return child;
+            }).filter(Boolean);
+            return Elements.createGroupElement(id, x, y, members);
+        },
+        draw: Drawing.drawGroupElement,
+        bounds: getGroupBounds,
+        hitTest: (renderer, el, cartX, cartY) => !!findGroupChildAt(renderer, el, cartX, cartY),
+        serialize: (renderer, el) => ({ x: el.x, y: el.y, children: el.children.map(child => serializeElement(renderer, child)) })
+    }
+};
+
+/** Copies the listed properties of an element (its authored data) */
+function pick(el, keys) {
+    const props = {};
+    keys.forEach(key => {
+        if (el[key] !== undefined) props[key] = el[key];
+    });
+    return props;
+}
+
+/**
+ * Fills in optional parts of a type definition. Only `draw` is required: types without `bounds`
+ * are treated as centre-positioned boxes (x, y, width, height) like rects, and types without
+ * `hitTest` are hit anywhere inside their bounds. Without `create`, props are copied onto the element,
+ * and without `serialize` every JSON-safe property except id/type is saved.
+ * Returns null (after logging) if the definition is unusable.
+ */
+export function normalizeElementType(type, definition) {
+    if (!type || typeof type !== 'string') {
+        console.error(`Element type name must be a non-empty string, got "${type}".`);
+        return null;
+    }
+    if (!definition || typeof definition.draw !== 'function') {
+        console.error(`Element type "${type}" must provide a draw(renderer, el) function.`);
+        return null;
+    }
+    const bounds = definition.bounds || ((renderer, el) => getRectBounds(el));
+    const hitTest = definition.hitTest || ((renderer, el, cartX, cartY) => {
+        const b = bounds(renderer, el);
+        return !!b && cartX >= b.minX && cartX <= b.maxX && cartY >= b.minY && cartY <= b.maxY;
+    });
+    const create = definition.create || ((renderer, id, props) => ({ ...props, id, type }));
+    const serialize = definition.serialize || ((renderer, el) => {
+        const { id, type: _type, ...props } = JSON.parse(JSON.stringify(el));
+        return props;
+    });
+    return { ...definition, type, create, draw: definition.draw, bounds, hitTest, serialize };
+}
@@ -1,12 +1,91 @@
 // elements.js
-import { validateTextOptions, wrapText, updateTextMetrics } from './utils/textUtils.js';
+import { validateTextOptions, wrapText, updateTextMetrics, layoutText } from './utils/textUtils.js';
+import { translateCubic } from './utils/bezierUtils.js';
+import { getElementBoxPoint } from './utils/interactionUtils.js';
+import * as Constants from './utils/constants.js';
+import { setParentGroup } from './utils/groupUtils.js';
+
+/**
+ * Returns the point used as an element's position when dragging:
+ * its centre/anchor (x, y), or the start point for bezier curves.
+ */
+export function getElementAnchor(element) {
+    if (element.type === 'bezier') {
+        return { x: element.points[0].x, y: element.points[0].y };
+    }
+    return { x: element.x, y: element.y };
+}
+
+/** Moves an element by a Cartesian delta, in place */
+export function translateElement(element, dx, dy) {
+    if (element.type === 'bezier') {
+        translateCubic(element.points, dx, dy);
+    } else {
+        element.x += dx;
+        element.y += dy;
+    }
+}
+
+/**
+ * Resizes an element to a Cartesian centre box { x, y, width, height } (see calculateNewDimensions),
+ * in place. Rects and images take the box as is. Text takes only its width, as the wrap width
+ * (less padding), and is re-wrapped; its height follows the lines, so it is lined up with the side
+ * opposite the handle (or the centre, with `fromCenter`) and keeps its top edge unless a top corner
+ * is dragged. The caller marks dirty and reindexes.
+ */
+export function resizeElement(renderer, element, box, handleType, fromCenter = false) {
+    if (element.type !== 'text') {
+        element.x = box.x;
+        element.y = box.y;
+        element.width = box.width;
+        element.height = box.height;
+        return;
+    }
+    // The point of the text box that stays put, as fractions of the box (0 = left/top, 1 = right/bottom)
+    const fx = fromCenter ? 0.5 : handleType.includes('w') ? 1 : 0;
+    const fy = handleType.includes('n') && !fromCenter ? 1 : 0; // Top corners keep the bottom edge
+    const pinned = getElementBoxPoint(renderer, element, fx, fy);
+    element.width = Math.max(Constants.MIN_RESIZE_SIZE, box.width - element.padding * 2);
+    layoutText(renderer.ctx, element);
+    // Moving the anchor moves the whole (rotated) box, so a plain shift puts the point back
+    const moved = getElementBoxPoint(renderer, element, fx, fy);
+    element.x += pinned.x - moved.x;
+    element.y += pinned.y - moved.y;
+}
 
 /**
  * Creates a rectangle element object.
  */
-export function createRectElement(id, x, y, width, height, color = "red") {
+export function createRectElement(id, x, y, width, height, color = "red", rotation = 0) {
     console.log(`Creating rect element ${id} at Cartesian (${x}, ${y})`);
-    return { id, type: "rect", x, y, width, height, color };
+    return { id, type: "rect", x, y, width, height, color, rotation };
+}
+
+/**
+ * Creates a group element holding `children` (element objects, in draw order), whose
+ * coordinates are relative to the group's origin (x, y).
+ */
+export function createGroupElement(id, x, y, children = []) {
+    console.log(`Creating group element ${id} with ${children.length} children`);
+    const element = { id, type: "group", x, y, children };
+    children.forEach(child => setParentGroup(child, element));
+    return element;
+}
+
+/**
+ * Creates a cubic bezier element from its four points [P0, P1, P2, P3].
+ * The points are copied: the pen tool reuses P3 as the next segment's P0,
+ * and segments must be movable independently.
+ */
+export function createBezierElement(id, points, style = {}) {
+    console.log(`Creating bezier element ${id}`);
+    return {
+        id,
+        type: "bezier",
+        points: points.map(pt => ({ x: pt.x, y: pt.y })),
+        color: style.color || 'black',
+        lineWidth: style.lineWidth || 1
+    };
 }
 
 /**
@@ -37,7 +116,7 @@ export function createTextElement(renderer, id, x, y, text, options = {}) {
  * Needs the renderer instance to mark dirty upon load/error.
  */
 export function createImageElement(renderer, id, x, y, src, options = {}) {
-     const defaults = { width: null, height: null, opacity: 1.0 };
+     const defaults = { width: null, height: null, opacity: 1.0, rotation: 0 };
      const config = { ...defaults, ...options };
 
     const element = {
@@ -45,11 +124,21 @@ export function createImageElement(renderer, id, x, y, src, options = {}) {
         width: config.width, // Can be null initially
         height: config.height, // Can be null initially
         opacity: Math.max(0, Math.min(1, config.opacity)), // Clamp opacity 0-1
-        image: new Image(),
+        rotation: config.rotation, // Degrees, counterclockwise around the centre
+        image: typeof Image !== 'undefined' ? new Image() : null,
         loaded: false,
         error: false
     };
 
+    // No Image constructor outside the browser (e.g. a headless renderer in Node): draw the placeholder
+    if (!element.image) {
+        element.error = true;
+        if (element.width === null) element.width = 50;
+        if (element.height === null) element.height = 50;
+        console.warn(`Images are not supported in this environment; image ${id} will draw as a placeholder.`);
+        return element;
+    }
+
     element.image.onload = () => {
         element.loaded = true;
         element.error = false; // Ensure error flag is false on successful load
@@ -68,22 +157,36 @@ export function createImageElement(renderer, id, x, y, src, options = {}) {
             element.height = naturalHeight;
         }
         console.log(`Image loaded: ${src} (ID: ${id}), size ${element.width.toFixed(0)}x${element.height.toFixed(0)}`);
-        // Mark dirty *after* dimensions are set
+        // Re-index and mark dirty *after* dimensions are set
+        renderer.reindexElement(element);
         renderer.markDirty(element);
     };
 
     element.image.onerror = () => {
+        if (element.image.crossOrigin) {
+            // The host may just not allow CORS: load it the plain way, so it still shows on the
+            // board (only exporting it as a PNG is then blocked)
+            console.warn(`Image ${id} couldn't be loaded with CORS; retrying without it.`);
+            element.image.crossOrigin = null;
+            element.image.src = source;
+            return;
+        }
         element.error = true;
         element.loaded = false; // Considered not loaded if error occurred
         // Provide default dimensions if none were set, so placeholder can draw
         if (element.width === null) element.width = 50;
         if (element.height === null) element.height = 50;
         console.error(`Failed to load image: ${src} (ID: ${id}). Error handler triggered, placeholder with 'Error' text will be displayed. This is deliberate for testing purposes. It's demonstrating the error handling mechanism.`);
+        renderer.reindexElement(element);
         renderer.markDirty(element); // Mark dirty to draw error placeholder
     };
 
-    // Start loading the image
-    element.image.src = src;
+    // Start loading the image (from a local copy if the renderer has one, e.g. after a restore).
+    // Remote images are requested with CORS first so they don't taint canvases they are exported
+    // from; onerror falls back to a plain load.
+    const source = renderer.resolveImageSource(src);
+    if (/^https?:/i.test(source)) element.image.crossOrigin = 'anonymous';
+    element.image.src = source;
 
     console.log(`Creating image element ${id} at Cartesian (${x}, ${y})`);
     // Note: Element is returned immediately, loading happens async.
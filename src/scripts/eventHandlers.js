@@ -1,38 +1,83 @@
-import { getElementAtScreenCoords, calculateNewDimensions, getResizeCursor, getHandleAtScreenCoords } from './utils/interactionUtils.js';
-import { toCartesianCoords } from './utils/coordinates.js';
+import { getElementAtScreenCoords, calculateNewDimensions, getResizeCursor, getHandleAtScreenCoords, getElementCartesianBounds, getUnrotatedBounds, getSelectionBounds } from './utils/interactionUtils.js';
 import { markDirty, markEntireCanvasDirty } from './dirtyRegions.js';
 import { startEditing, stopEditing, updateEditOverlay } from './editing.js';
+import { panBy, zoomBy } from './camera.js';
+import * as Constants from './utils/constants.js';
+import { getElementAnchor, translateElement, resizeElement } from './elements.js';
+import { captureElementState, statesEqual, createElementStateCommand, getGeometryKeys } from './history.js';
+import { copySelection, cutSelection, pasteClipboardData } from './clipboard.js';
+import { addImageFiles } from './imageImport.js';
+import { getGroupOffset, isInGroup } from './utils/groupUtils.js';
+import { isSnapEnabled, getSnapTargets, snapBounds } from './snapping.js';
 
 export function createMouseMoveHandler(renderer) {
   return function handleMouseMove(event) {
     const rect = renderer.canvas.getBoundingClientRect();
     const screenX = event.clientX - rect.left;
     const screenY = event.clientY - rect.top;
+    if (renderer.panning) {
+      panBy(renderer, screenX - renderer.lastPanPos.x, screenY - renderer.lastPanPos.y);
+      renderer.lastPanPos = { x: screenX, y: screenY };
+      return;
+    }
+    if (renderer.spacePressed) return; // Keep the 'grab' cursor while waiting for a pan drag
+
     const cartesianPoint = renderer.toCartesianCoords(screenX, screenY);
     renderer.currentMousePosCartesian = cartesianPoint;
 
     if (renderer.currentTool === 'pen') {
       if (renderer.bezierDrawingState === 'definingP1') {
         renderer.currentCurvePoints.p1 = cartesianPoint;
-        renderer.markEntireCanvasDirty();
+        renderer.markOverlayDirty();
       } else if (renderer.bezierDrawingState === 'definingP2') {
-        renderer.markEntireCanvasDirty();
+        renderer.markOverlayDirty();
       }
       return;
     }
 
     if (renderer.currentTool === 'select') {
-      console.log('MouseMove - Dragging:', renderer.dragging, 'Selected:', renderer.selectedElement);
-      if (renderer.dragging && renderer.selectedElement) {
-        markDirty(renderer, renderer.selectedElement);
-        const cartesianMouse = toCartesianCoords(screenX, screenY, renderer.originX, renderer.originY);
-        renderer.selectedElement.x = cartesianMouse.x - renderer.dragOffsetX;
-        renderer.selectedElement.y = cartesianMouse.y - renderer.dragOffsetY;
-        markDirty(renderer, renderer.selectedElement);
+      if (renderer.marquee) {
+        renderer.marquee.end = { x: screenX, y: screenY };
+        renderer.markOverlayDirty();
+        return;
+      }
+      if (renderer.resizing) {
+        resizeSelected(renderer, screenX, screenY, event);
+        return;
+      }
+      if (renderer.rotating) {
+        rotateSelected(renderer, cartesianPoint, event);
+        return;
+      }
+      if (renderer.dragging && renderer.dragElement) {
+        // Move the whole selection by however far the element under the pointer has to move
+        const anchor = getElementAnchor(renderer.dragElement);
+        let dx = cartesianPoint.x - renderer.dragOffsetX - anchor.x;
+        let dy = cartesianPoint.y - renderer.dragOffsetY - anchor.y;
+        const moving = renderer.getSelectedElements();
+        const bounds = getSelectionBounds(renderer);
+        if (bounds && isSnapEnabled(renderer)) {
+          // Line the selection's edges or centre up with the axes or other elements
+          const moved = { minX: bounds.minX + dx, minY: bounds.minY + dy, maxX: bounds.maxX + dx, maxY: bounds.maxY + dy };
+          const snap = snapBounds(renderer, moved, getSnapTargets(renderer, moving));
+          dx += snap.dx;
+          dy += snap.dy;
+          renderer.setSnapGuides(snap.guides);
+        } else {
+          renderer.setSnapGuides([]);
+        }
+        moving.forEach(element => {
+          markDirty(renderer, element);
+          translateElement(element, dx, dy);
+          renderer.reindexElement(element);
+          markDirty(renderer, element);
+        });
         renderer.canvas.style.cursor = 'grabbing';
       } else if (!renderer.editingElement) {
         const hitInfo = getElementAtScreenCoords(renderer, screenX, screenY);
-        renderer.canvas.style.cursor = hitInfo ? 'move' : 'default';
+        renderer.canvas.style.cursor = getHoverCursor(hitInfo);
+        // Handle hits come back as { element, handleType }; highlight the element either way
+        renderer.setHoveredElement(hitInfo && hitInfo.element ? hitInfo.element : hitInfo);
       }
     }
   };
@@ -45,51 +90,201 @@ export function createMouseDownHandler(renderer) {
     const screenY = event.clientY - rect.top;
     const cartesianPoint = renderer.toCartesianCoords(screenX, screenY);
 
+    // Middle button, or left button while space is held, pans the view regardless of tool
+    if (event.button === 1 || (event.button === 0 && renderer.spacePressed)) {
+      event.preventDefault(); // Stop middle-click autoscroll
+      renderer.panning = true;
+      renderer.lastPanPos = { x: screenX, y: screenY };
+      renderer.canvas.style.cursor = 'grabbing';
+      return;
+    }
+
     if (renderer.currentTool === 'pen') {
       if (renderer.bezierDrawingState === 'idle') {
         renderer.bezierDrawingState = 'definingP1';
         renderer.currentCurvePoints.p0 = renderer.currentCurvePoints.p0 || cartesianPoint;
         renderer.currentCurvePoints.p1 = cartesianPoint;
         renderer.currentCurvePoints.p3 = null;
-        renderer.markEntireCanvasDirty();
+        renderer.markOverlayDirty();
       } else if (renderer.bezierDrawingState === 'p1Defined') {
         renderer.bezierDrawingState = 'definingP2';
         renderer.currentCurvePoints.p3 = cartesianPoint;
         renderer.currentMousePosCartesian = cartesianPoint;
-        renderer.markEntireCanvasDirty();
+        renderer.markOverlayDirty();
       }
       return;
     }
 
     if (renderer.currentTool === 'select') {
       const hitInfo = getElementAtScreenCoords(renderer, screenX, screenY);
-      console.log('Hit Info:', hitInfo);
-      let selectedElement = hitInfo && hitInfo.element ? hitInfo.element : hitInfo;
-      if (selectedElement && typeof hitInfo?.handleType === 'undefined') {
-        renderer.selectedElement = selectedElement;
-        console.log('Selected Element:', renderer.selectedElement);
+      const element = hitInfo && hitInfo.element ? hitInfo.element : hitInfo;
+      // Shift or Ctrl/Cmd adds to the selection instead of replacing it
+      const toggle = event.shiftKey || event.ctrlKey || event.metaKey;
+      // Clicking anything outside the entered group leaves it
+      if (renderer.activeGroup && !(element && isInGroup(element, renderer.activeGroup))) {
+        renderer.setActiveGroup(null);
+      }
+      if (element && hitInfo.handleType === 'rotate') {
+        // Rotate handle of the selected element (Shift then snaps the angle instead of toggling)
+        renderer.rotating = true;
+        renderer.dragging = false;
+        renderer.rotationStart = { pointerAngle: getPointerAngle(renderer, element, cartesianPoint), rotation: element.rotation || 0 };
+        renderer.dragStartState = new Map([[element, captureElementState(element, getGeometryKeys(element))]]);
+        renderer.canvas.style.cursor = 'grabbing';
+      } else if (element && typeof hitInfo?.handleType !== 'undefined') {
+        // Resize handle of the selected element (Shift then keeps the aspect ratio instead of toggling).
+        // Sizes are measured in the element's own (unrotated) frame.
+        const bounds = getUnrotatedBounds(renderer, element);
+        renderer.resizing = true;
+        renderer.dragging = false;
+        renderer.resizeHandleType = hitInfo.handleType;
+        renderer.startMousePos = { x: screenX, y: screenY };
+        renderer.originalDimensions = {
+          x: (bounds.minX + bounds.maxX) / 2,
+          y: (bounds.minY + bounds.maxY) / 2,
+          width: bounds.maxX - bounds.minX,
+          height: bounds.maxY - bounds.minY,
+          rotation: element.rotation || 0
+        };
+        renderer.dragStartState = new Map([[element, captureElementState(element, getGeometryKeys(element))]]);
+        renderer.canvas.style.cursor = getResizeCursor(hitInfo.handleType, element.rotation);
+      } else if (element) {
+        if (toggle) {
+          renderer.toggleSelection(element);
+          if (!renderer.isSelected(element)) return; // Toggled off: nothing to drag
+        } else if (!renderer.isSelected(element)) {
+          renderer.selectElement(element);
+        }
+        // Drag the whole selection along with the element under the pointer
         renderer.dragging = true;
-        console.log('After dragging set:', renderer.selectedElement);
-        const cartesianMouse = toCartesianCoords(screenX, screenY, renderer.originX, renderer.originY);
-        console.log('After toCartesianCoords:', renderer.selectedElement);
-        renderer.dragOffsetX = cartesianMouse.x - renderer.selectedElement.x;
-        renderer.dragOffsetY = cartesianMouse.y - renderer.selectedElement.y;
-        console.log('After offsets:', renderer.selectedElement);
-        renderer.markDirty(renderer.selectedElement);
-        console.log('After markDirty:', renderer.selectedElement);
-      } else {
-        console.log('No draggable element hit');
-        renderer.selectedElement = null;
+        renderer.dragElement = element;
+        const anchor = getElementAnchor(element);
+        renderer.dragOffsetX = cartesianPoint.x - anchor.x;
+        renderer.dragOffsetY = cartesianPoint.y - anchor.y;
+        // Remember where the drag started so the whole drag becomes a single undo step
+        renderer.dragStartState = new Map(renderer.getSelectedElements().map(el => [el, captureElementState(el, getGeometryKeys(el))]));
+      } else if (!element) {
+        // Empty canvas: rubber-band selection
+        if (!toggle) renderer.selectElement(null);
         renderer.dragging = false;
+        renderer.marquee = { start: { x: screenX, y: screenY }, end: { x: screenX, y: screenY }, additive: toggle };
+        renderer.markOverlayDirty();
       }
-      console.log('MouseDown Select: Hit Info:', hitInfo);
-      console.log('Selected element:', renderer.selectedElement);
-      console.log('MouseDown Select: Starting drag');
     }
-    console.log('MouseDown End: dragging=' + renderer.dragging + ', resizing=' + renderer.resizing + ', selectedElement ID=' + (renderer.selectedElement ? renderer.selectedElement.id : 'undefined'));
   };
 }
 
+/**
+ * Resizes the selected element to follow the pointer. Shift keeps the aspect ratio and Alt resizes
+ * from the centre; both are read on every move, so they can be pressed or released mid-drag.
+ */
+function resizeSelected(renderer, screenX, screenY, event) {
+  const element = renderer.selectedElement;
+  if (!element) return;
+  // Text has no height of its own to keep in proportion with its width
+  const maintainAspect = event.shiftKey && element.type !== 'text';
+  const pointer = snapResizePointer(renderer, element, screenX, screenY, event);
+  const box = calculateNewDimensions(renderer, renderer.resizeHandleType, pointer.x, pointer.y,
+    renderer.startMousePos, renderer.originalDimensions, maintainAspect, event.altKey);
+  markDirty(renderer, element);
+  resizeElement(renderer, element, box, renderer.resizeHandleType, event.altKey);
+  renderer.reindexElement(element);
+  markDirty(renderer, element);
+  renderer.markOverlayDirty();
+}
+
+/**
+ * Returns the screen point to resize to: the pointer, moved so the edges under the handle line up
+ * with an axis or another element if they are close (see snapping.js). Rotated elements don't
+ * snap, as their edges aren't horizontal or vertical, nor do resizes from the centre (Alt), which
+ * move both sides at once; text only snaps its sides.
+ */
+function snapResizePointer(renderer, element, screenX, screenY, event) {
+  const original = renderer.originalDimensions;
+  if (!isSnapEnabled(renderer) || original.rotation % 360 !== 0 || event.altKey) {
+    renderer.setSnapGuides([]);
+    return { x: screenX, y: screenY };
+  }
+  const handleType = renderer.resizeHandleType;
+  const dirX = handleType.includes('e') ? 1 : handleType.includes('w') ? -1 : 0;
+  const dirY = element.type === 'text' ? 0 : handleType.includes('n') ? 1 : handleType.includes('s') ? -1 : 0;
+  // Where the handle's edges have been dragged to, in board coordinates
+  const offset = getGroupOffset(element);
+  const start = renderer.toCartesianCoords(renderer.startMousePos.x, renderer.startMousePos.y);
+  const pointer = renderer.toCartesianCoords(screenX, screenY);
+  const edgeX = offset.x + original.x + dirX * original.width / 2 + pointer.x - start.x;
+  const edgeY = offset.y + original.y + dirY * original.height / 2 + pointer.y - start.y;
+  const box = { minX: edgeX, maxX: edgeX, minY: edgeY, maxY: edgeY };
+  const snap = snapBounds(renderer, box, getSnapTargets(renderer, [element]), { x: dirX ? [edgeX] : null, y: dirY ? [edgeY] : null });
+  renderer.setSnapGuides(snap.guides);
+  return { x: screenX + snap.dx * renderer.zoom, y: screenY - snap.dy * renderer.zoom }; // Y is up
+}
+
+/** Returns the angle (degrees, counterclockwise from east) of a Cartesian point around an element's centre */
+function getPointerAngle(renderer, element, point) {
+  const box = getUnrotatedBounds(renderer, element);
+  const offset = getGroupOffset(element); // The box is in its group's coordinates
+  return Math.atan2(point.y - offset.y - (box.minY + box.maxY) / 2, point.x - offset.x - (box.minX + box.maxX) / 2) * 180 / Math.PI;
+}
+
+/**
+ * Rotates the selected element by however far the pointer has turned around its centre since
+ * the rotate drag started. Shift snaps to ROTATION_SNAP_DEGREES steps.
+ */
+function rotateSelected(renderer, cartesianPoint, event) {
+  const element = renderer.selectedElement;
+  if (!element) return;
+  const { pointerAngle, rotation } = renderer.rotationStart;
+  let angle = rotation + getPointerAngle(renderer, element, cartesianPoint) - pointerAngle;
+  if (event.shiftKey) angle = Math.round(angle / Constants.ROTATION_SNAP_DEGREES) * Constants.ROTATION_SNAP_DEGREES;
+  angle = ((angle % 360) + 360) % 360; // Keep it in [0, 360)
+  markDirty(renderer, element);
+  element.rotation = angle;
+  renderer.reindexElement(element);
+  markDirty(renderer, element);
+  renderer.markOverlayDirty();
+}
+
+/** Records the finished resize or rotate as one undo step and clears its state */
+function finishTransform(renderer) {
+  const label = renderer.rotating ? 'Rotate' : 'Resize';
+  renderer.resizing = false;
+  renderer.rotating = false;
+  renderer.setSnapGuides([]);
+  (renderer.dragStartState || new Map()).forEach((before, element) => {
+    const after = captureElementState(element, getGeometryKeys(element));
+    if (!statesEqual(before, after)) {
+      renderer.history.record(createElementStateCommand(renderer, element, before, after, `${label} ${element.type}`));
+    }
+  });
+  renderer.dragStartState = null;
+  renderer.resizeHandleType = null;
+  renderer.originalDimensions = null;
+  renderer.startMousePos = null;
+  renderer.rotationStart = null;
+}
+
+/** Returns the select tool cursor for what's under the pointer: a resize arrow over a handle, 'move' over an element */
+function getHoverCursor(hitInfo) {
+  if (!hitInfo) return 'default';
+  return typeof hitInfo.handleType !== 'undefined' ? getResizeCursor(hitInfo.handleType, hitInfo.element.rotation) : 'move';
+}
+
+/** Selects the elements inside or touching the rubber band, then removes it */
+function finishMarquee(renderer) {
+  const { start, end, additive } = renderer.marquee;
+  renderer.marquee = null;
+  renderer.markOverlayDirty();
+  const width = Math.abs(end.x - start.x);
+  const height = Math.abs(end.y - start.y);
+  if (width < Constants.MARQUEE_MIN_SIZE && height < Constants.MARQUEE_MIN_SIZE) return; // Just a click on empty canvas
+  const rect = renderer.screenRectToCartesian(Math.min(start.x, end.x), Math.min(start.y, end.y), width, height);
+  // The index also returns elements without bounds (e.g. loading images); those can't be enclosed
+  const hits = renderer.spatialIndex.query(rect)
+    .filter(el => el !== renderer.editingElement && getElementCartesianBounds(renderer, el));
+  renderer.setSelection(additive ? [...renderer.selection, ...hits] : hits);
+}
+
 function reflectPoint(pointToReflect, centerPoint) {
   return {
     x: centerPoint.x + (centerPoint.x - pointToReflect.x),
@@ -104,11 +299,18 @@ export function createMouseUpHandler(renderer) {
     const screenY = event.clientY - rect.top;
     const cartesianPoint = renderer.toCartesianCoords(screenX, screenY);
 
+    if (renderer.panning) {
+      renderer.panning = false;
+      renderer.lastPanPos = null;
+      renderer.canvas.style.cursor = renderer.spacePressed ? 'grab' : renderer.getToolCursor();
+      return;
+    }
+
     if (renderer.currentTool === 'pen') {
       if (renderer.bezierDrawingState === 'definingP1') {
         renderer.currentCurvePoints.p1 = cartesianPoint;
         renderer.bezierDrawingState = 'p1Defined';
-        renderer.markEntireCanvasDirty();
+        renderer.markOverlayDirty();
       } else if (renderer.bezierDrawingState === 'definingP2') {
         const p0 = renderer.currentCurvePoints.p0;
         const p1 = renderer.currentCurvePoints.p1;
@@ -118,7 +320,7 @@ export function createMouseUpHandler(renderer) {
           console.error("Missing points:", { p0, p1, p2, p3 });
           renderer.bezierDrawingState = 'idle';
           renderer.currentCurvePoints = { p0: null, p1: null, p3: null };
-          renderer.markEntireCanvasDirty();
+          renderer.markOverlayDirty();
           renderer.currentMousePosCartesian = null;
           return;
         }
@@ -133,14 +335,29 @@ export function createMouseUpHandler(renderer) {
     }
 
     if (renderer.currentTool === 'select') {
-      console.log('MouseUp Select: Finalizing drag');
-      if (renderer.dragging && renderer.selectedElement) {
+      if (renderer.marquee) {
+        finishMarquee(renderer);
+      } else if (renderer.resizing || renderer.rotating) {
+        finishTransform(renderer);
+      } else if (renderer.dragging) {
         renderer.dragging = false;
-        renderer.markDirty(renderer.selectedElement);
+        renderer.setSnapGuides([]);
+        const moves = [];
+        (renderer.dragStartState || new Map()).forEach((before, element) => {
+          renderer.markDirty(element);
+          const after = captureElementState(element, getGeometryKeys(element));
+          if (!statesEqual(before, after)) {
+            moves.push(createElementStateCommand(renderer, element, before, after, `Move ${element.type}`));
+          }
+        });
+        // One undo step for the whole drag, however many elements moved
+        renderer.history.transaction(`Move ${moves.length} elements`, () => moves.forEach(move => renderer.history.record(move)));
+        renderer.dragStartState = null;
+        renderer.dragElement = null;
       }
       const hitInfo = getElementAtScreenCoords(renderer, screenX, screenY);
       console.log('MouseUp Select: Final cursor check. Hit info:', hitInfo ? hitInfo.element ? hitInfo.element.id : 'Element undefined' : 'null');
-      renderer.canvas.style.cursor = hitInfo ? 'move' : 'default';
+      renderer.canvas.style.cursor = getHoverCursor(hitInfo);
     }
   };
 }
@@ -167,10 +384,15 @@ export function createDoubleClickHandler(renderer) {
 
     if (renderer.currentTool === 'select' && element && typeof element.handleType === 'undefined' && element.type === "text") {
       startEditing(renderer, element);
+    } else if (renderer.currentTool === 'select' && element && typeof element.handleType === 'undefined' && element.type === 'group') {
+      // Enter the group and pick the child under the pointer (double-click again to go deeper)
+      renderer.setActiveGroup(element);
+      renderer.selectElement(getElementAtScreenCoords(renderer, screenX, screenY));
+      renderer.canvas.style.cursor = 'move';
     } else if (renderer.currentTool === 'select') {
       const handleInfo = getHandleAtScreenCoords(renderer, screenX, screenY, renderer.selectedElement);
       if (handleInfo) {
-        renderer.canvas.style.cursor = getResizeCursor(handleInfo.type);
+        renderer.canvas.style.cursor = getResizeCursor(handleInfo.type, renderer.selectedElement.rotation);
       } else if (element && typeof element.handleType === 'undefined') {
         renderer.canvas.style.cursor = 'move';
       } else {
@@ -182,13 +404,14 @@ export function createDoubleClickHandler(renderer) {
 
 export function createMouseLeaveHandler(renderer) {
   return function handleMouseLeave(event) {
-    if (renderer.resizing || renderer.dragging) {
-      console.log("Mouse left canvas during drag/resize - finalizing action.");
+    if (renderer.resizing || renderer.rotating || renderer.dragging || renderer.panning || renderer.marquee) {
+      console.log("Mouse left canvas during drag/resize/rotate - finalizing action.");
       createMouseUpHandler(renderer)(event);
       renderer.canvas.style.cursor = 'default';
     } else if (!renderer.editingElement) {
       renderer.canvas.style.cursor = 'default';
     }
+    renderer.setHoveredElement(null);
   };
 }
 
@@ -200,4 +423,182 @@ export function createResizeHandler(renderer) {
       updateEditOverlay(renderer);
     }
   };
-}
\ No newline at end of file
+}
+
+/** Returns true when keyboard input is going to a text field rather than the canvas */
+function isTypingTarget(target) {
+  return target && (target.tagName === 'TEXTAREA' || target.tagName === 'INPUT' || target.isContentEditable);
+}
+
+export function createWheelHandler(renderer) {
+  return function handleWheel(event) {
+    // Trackpad pinch gestures arrive as wheel events with ctrlKey set, so both paths zoom
+    event.preventDefault();
+    const rect = renderer.canvas.getBoundingClientRect();
+    const screenX = event.clientX - rect.left;
+    const screenY = event.clientY - rect.top;
+    // Normalise line/page based deltas to roughly pixel units
+    const deltaScale = event.deltaMode === 1 ? 16 : event.deltaMode === 2 ? rect.height : 1;
+    const delta = event.deltaY * deltaScale;
+    // Pinch deltas are much smaller than wheel notches, so boost them
+    const sensitivity = Constants.WHEEL_ZOOM_SENSITIVITY * (event.ctrlKey ? 5 : 1);
+    zoomBy(renderer, screenX, screenY, Math.exp(-delta * sensitivity));
+  };
+}
+
+export function createKeyDownHandler(renderer) {
+  return function handleKeyDown(event) {
+    // Text fields keep their own native undo
+    if (isTypingTarget(event.target)) return;
+
+    const modifier = event.ctrlKey || event.metaKey;
+    const key = event.key.toLowerCase();
+    if (modifier && key === 'z') {
+      event.preventDefault();
+      if (event.shiftKey) renderer.redo();
+      else renderer.undo();
+      return;
+    }
+    if (modifier && key === 'y') {
+      event.preventDefault();
+      renderer.redo();
+      return;
+    }
+    if (modifier && key === 'g') {
+      event.preventDefault(); // Browsers use Ctrl+G for "find next"
+      if (event.shiftKey) renderer.ungroupSelection();
+      else renderer.groupSelection();
+      return;
+    }
+
+    if (event.code === Constants.SNAP_SUSPEND_KEY && !modifier) {
+      // Held to drag or resize without snapping; takes effect on the next pointer move
+      renderer.snapSuspended = true;
+      return;
+    }
+
+    if (event.code === 'Space') {
+      event.preventDefault(); // Stop the page from scrolling
+      if (!renderer.spacePressed) {
+        renderer.spacePressed = true;
+        if (!renderer.panning) renderer.canvas.style.cursor = 'grab';
+      }
+    }
+  };
+}
+
+// Clipboard: Ctrl/Cmd+C/X/V arrive as copy/cut/paste events, which can read and write the system clipboard
+
+/** Puts the selected elements on the clipboard; leaves the browser's own copy alone otherwise */
+export function createCopyHandler(renderer) {
+  return function handleCopy(event) {
+    if (isTypingTarget(event.target) || renderer.editingElement) return;
+    const payload = copySelection(renderer);
+    if (!payload) return;
+    event.clipboardData.setData('text/plain', payload);
+    event.preventDefault();
+  };
+}
+
+export function createCutHandler(renderer) {
+  return function handleCut(event) {
+    if (isTypingTarget(event.target) || renderer.editingElement) return;
+    const payload = cutSelection(renderer);
+    if (!payload) return;
+    event.clipboardData.setData('text/plain', payload);
+    event.preventDefault();
+  };
+}
+
+/** Pastes copied elements, or turns pasted images, image URLs and text into elements at the cursor */
+export function createPasteHandler(renderer) {
+  return function handlePaste(event) {
+    if (isTypingTarget(event.target) || renderer.editingElement) return;
+    event.preventDefault();
+    // The cursor if it's over the board, otherwise the middle of the view
+    const view = renderer.getViewportBounds();
+    const pointer = renderer.currentMousePosCartesian;
+    const inView = pointer && pointer.x >= view.minX && pointer.x <= view.maxX && pointer.y >= view.minY && pointer.y <= view.maxY;
+    const at = inView ? pointer : { x: (view.minX + view.maxX) / 2, y: (view.minY + view.maxY) / 2 };
+    pasteClipboardData(renderer, event.clipboardData, at);
+  };
+}
+
+// Drag-and-drop: image files dropped from the desktop become image elements at the drop point
+
+/** Accepts file drags over the canvas (without this the browser would open the file instead) */
+export function createDragOverHandler(renderer) {
+  return function handleDragOver(event) {
+    if (!event.dataTransfer || !event.dataTransfer.types.includes('Files')) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
+}
+
+export function createDropHandler(renderer) {
+  return function handleDrop(event) {
+    if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+    event.preventDefault();
+    const rect = renderer.canvas.getBoundingClientRect();
+    const at = renderer.toCartesianCoords(event.clientX - rect.left, event.clientY - rect.top);
+    addImageFiles(renderer, event.dataTransfer.files, at);
+  };
+}
+
+export function createKeyUpHandler(renderer) {
+  return function handleKeyUp(event) {
+    if (event.code === Constants.SNAP_SUSPEND_KEY) {
+      renderer.snapSuspended = false;
+    }
+    if (event.code === 'Space') {
+      renderer.spacePressed = false;
+      if (!renderer.panning && !renderer.editingElement) {
+        renderer.canvas.style.cursor = renderer.getToolCursor();
+      }
+    }
+  };
+}
+
+/** Returns the midpoint and distance of the first two touches, relative to the canvas */
+function getTouchPair(renderer, touches) {
+  const rect = renderer.canvas.getBoundingClientRect();
+  const a = touches[0];
+  const b = touches[1];
+  return {
+    x: (a.clientX + b.clientX) / 2 - rect.left,
+    y: (a.clientY + b.clientY) / 2 - rect.top,
+    distance: Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY)
+  };
+}
+
+export function createTouchStartHandler(renderer) {
+  return function handleTouchStart(event) {
+    if (event.touches.length === 2) {
+      event.preventDefault();
+      renderer.pinchState = getTouchPair(renderer, event.touches);
+    }
+  };
+}
+
+export function createTouchMoveHandler(renderer) {
+  return function handleTouchMove(event) {
+    if (event.touches.length !== 2 || !renderer.pinchState) return;
+    event.preventDefault();
+    const current = getTouchPair(renderer, event.touches);
+    const previous = renderer.pinchState;
+    // Pan by the midpoint movement, then zoom around the new midpoint
+    panBy(renderer, current.x - previous.x, current.y - previous.y);
+    if (previous.distance > 0) {
+      zoomBy(renderer, current.x, current.y, current.distance / previous.distance);
+    }
+    renderer.pinchState = current;
+  };
+}
+
+export function createTouchEndHandler(renderer) {
+  return function handleTouchEnd(event) {
+    if (event.touches.length < 2) {
+      renderer.pinchState = null;
+    }
+  };
+}
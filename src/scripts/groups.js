@@ -0,0 +1,134 @@
+// groups.js
+import { createGroupElement, translateElement } from './elements.js';
+import { createAddElementCommand } from './history.js';
+import { getElementCartesianBounds, unionBounds } from './utils/interactionUtils.js';
+import { setParentGroup, isInGroup } from './utils/groupUtils.js';
+
+/**
+ * Grouping. A group ({ type: 'group', x, y, children }) is one element on the board: it is
+ * moved, hit-tested, indexed and marked dirty as a unit, and its children are positioned relative
+ * to its origin, which starts at the centre of what was grouped. Groups can hold groups.
+ * Double-clicking a group enters it (renderer.setActiveGroup) so its children can be picked.
+ */
+
+/**
+ * Command that moves elements into a group's coordinates and links them to it (redo), or moves
+ * them back out (undo). Adding/removing the elements and the group on the board is left to the
+ * usual add/remove commands.
+ */
+function createPackCommand(group, members, label) {
+    return {
+        label,
+        undo() {
+            members.forEach(member => {
+                translateElement(member, group.x, group.y);
+                setParentGroup(member, null);
+            });
+            group.children = [];
+        },
+        redo() {
+            members.forEach(member => {
+                translateElement(member, -group.x, -group.y);
+                setParentGroup(member, group);
+            });
+            group.children = [...members];
+        }
+    };
+}
+
+/**
+ * Groups top-level elements as one undo step and selects the group, which takes the place of the
+ * topmost of them in the stacking order. Returns the group, or null if fewer than two elements
+ * can be grouped (elements already inside a group can't be grouped again on their own).
+ */
+export function groupElements(renderer, elements) {
+    const members = renderer.sortByDrawOrder(elements.filter(el => renderer.elements.includes(el)));
+    if (members.length < elements.length) {
+        console.warn("Only elements at the top level of the board can be grouped; skipping the others.");
+    }
+    if (members.length < 2) {
+        console.warn("Select at least two elements to group.");
+        return null;
+    }
+    const bounds = members
+        .map(el => getElementCartesianBounds(renderer, el))
+        .filter(Boolean)
+        .reduce((union, b) => (union ? unionBounds(union, b) : b), null);
+    const origin = bounds ? { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 } : { x: 0, y: 0 };
+    // Where the group goes once the members are gone: the topmost member's slot
+    const index = renderer.elements.indexOf(members[members.length - 1]) - (members.length - 1);
+
+    const group = createGroupElement(renderer.nextElementId++, origin.x, origin.y);
+    renderer.history.transaction('Group', () => {
+        members.forEach(el => renderer.removeElement(el));
+        const pack = createPackCommand(group, members, 'Group');
+        pack.redo();
+        renderer.history.record(pack);
+        renderer.insertElement(group, index);
+        renderer.markDirty(group);
+        renderer.history.record(createAddElementCommand(renderer, group, index, 'Group'));
+    });
+    renderer.selectElement(group);
+    console.log(`Grouped ${members.length} elements into group ${group.id}`);
+    return group;
+}
+
+/**
+ * Replaces a top-level group with its children (back at board coordinates, in its stacking slot)
+ * as one undo step and selects them. Returns the children, or null if it isn't a top-level group.
+ */
+export function ungroupElement(renderer, group) {
+    const index = renderer.elements.indexOf(group);
+    if (group.type !== 'group' || index === -1) {
+        console.warn("Only groups at the top level of the board can be ungrouped.");
+        return null;
+    }
+    const members = [...group.children];
+    renderer.history.transaction('Ungroup', () => {
+        renderer.removeElement(group);
+        const pack = createPackCommand(group, members, 'Ungroup');
+        pack.undo();
+        renderer.history.record({ label: 'Ungroup', undo: pack.redo, redo: pack.undo });
+        members.forEach((member, i) => {
+            renderer.insertElement(member, index + i);
+            renderer.markDirty(member);
+            renderer.history.record(createAddElementCommand(renderer, member, index + i, 'Ungroup'));
+        });
+    });
+    renderer.setSelection(members);
+    console.log(`Ungrouped group ${group.id} into ${members.length} elements`);
+    return members;
+}
+
+/**
+ * Deletes an element from inside a group as one undo step. A group left empty is deleted too.
+ * Returns true on success.
+ */
+export function removeGroupChild(renderer, group, element) {
+    const index = group.children.indexOf(element);
+    if (index === -1) return false;
+    const detach = () => {
+        renderer.markDirty(element); // Clear the area it used to cover
+        group.children.splice(group.children.indexOf(element), 1);
+        setParentGroup(element, null);
+        renderer.reindexElement(group);
+    };
+    const attach = () => {
+        group.children.splice(Math.min(index, group.children.length), 0, element);
+        setParentGroup(element, group);
+        renderer.reindexElement(group);
+        renderer.markDirty(element);
+    };
+
+    renderer.history.transaction(`Delete ${element.type}`, () => {
+        // Anything inside a removed group goes with it
+        const removed = el => el === element || isInGroup(el, element);
+        if ([...renderer.selection].some(removed)) renderer.setSelection([...renderer.selection].filter(el => !removed(el)));
+        if (renderer.hoveredElement && removed(renderer.hoveredElement)) renderer.setHoveredElement(null);
+        if (renderer.activeGroup && removed(renderer.activeGroup)) renderer.setActiveGroup(null);
+        detach();
+        renderer.history.record({ label: `Delete ${element.type}`, undo: attach, redo: detach });
+        if (group.children.length === 0) renderer.removeElement(group);
+    });
+    return true;
+}
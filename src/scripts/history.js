@@ -0,0 +1,223 @@
+// history.js
+import * as Constants from './utils/constants.js';
+import { updateTextMetrics } from './utils/textUtils.js';
+
+/**
+ * Undo/redo stack of commands. A command is { label, undo(), redo() } describing a change that
+ * has already been applied; record() pushes it, undo()/redo() replay it.
+ * While a command is being replayed, `applying` is true and record() ignores anything the replay
+ * itself would record (e.g. undoing an add calls removeElement, which must not add a new entry).
+ */
+export class CommandHistory {
+    constructor(renderer, limit = Constants.HISTORY_LIMIT) {
+        this.renderer = renderer;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.applying = false;
+        this.collector = null; // Commands gathered by an open transaction()
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /** Pushes an already-applied command; clears the redo stack */
+    record(command) {
+        if (this.applying || !command) return;
+        if (this.collector) {
+            this.collector.push(command);
+            return;
+        }
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /** Reverts the most recent command. Returns false if there was nothing to undo */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return false;
+        this.replay(() => command.undo());
+        this.redoStack.push(command);
+        console.log(`Undo: ${command.label}`);
+        this.notify();
+        return true;
+    }
+
+    /** Re-applies the most recently undone command. Returns false if there was nothing to redo */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return false;
+        this.replay(() => command.redo());
+        this.undoStack.push(command);
+        console.log(`Redo: ${command.label}`);
+        this.notify();
+        return true;
+    }
+
+    /** Empties both stacks (e.g. after loading a new document) */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Runs fn and records everything it records as a single undo step (e.g. an import that adds
+     * many elements). Transactions can nest; only the outermost one reaches the stack.
+     */
+    transaction(label, fn) {
+        if (this.applying) return fn();
+        const previous = this.collector;
+        const collected = [];
+        this.collector = collected;
+        try {
+            return fn();
+        } finally {
+            this.collector = previous;
+            if (collected.length === 1) this.record(collected[0]);
+            else if (collected.length > 1) this.record(createCompositeCommand(collected, label));
+        }
+    }
+
+    /** Runs fn with recording suppressed */
+    replay(fn) {
+        this.applying = true;
+        try {
+            fn();
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    notify() {
+        this.renderer.emit('historyChanged', { canUndo: this.canUndo, canRedo: this.canRedo });
+    }
+}
+
+// --- Command Factories ---
+
+/** Command made of several commands: undone in reverse order, redone in order */
+export function createCompositeCommand(commands, label = 'Multiple changes') {
+    return {
+        label,
+        undo() {
+            [...commands].reverse().forEach(command => command.undo());
+        },
+        redo() {
+            commands.forEach(command => command.redo());
+        }
+    };
+}
+
+/** Command for an element that was added at `index` in renderer.elements */
+export function createAddElementCommand(renderer, element, index, label = `Add ${element.type}`) {
+    return {
+        label,
+        undo() {
+            renderer.removeElement(element);
+        },
+        redo() {
+            renderer.insertElement(element, Math.min(index, renderer.elements.length));
+            renderer.markDirty(element);
+        }
+    };
+}
+
+/** Command for an element that was removed from `index` in renderer.elements */
+export function createRemoveElementCommand(renderer, element, index, label = `Delete ${element.type}`) {
+    const add = createAddElementCommand(renderer, element, index);
+    return { label, undo: add.redo, redo: add.undo };
+}
+
+/**
+ * Copies the given properties of an element. Values are deep-copied through JSON, so only use
+ * this for plain data (numbers, strings, point arrays), never for live objects like Image.
+ */
+export function captureElementState(element, keys) {
+    const state = {};
+    keys.forEach(key => {
+        state[key] = element[key] === undefined ? undefined : JSON.parse(JSON.stringify(element[key]));
+    });
+    return state;
+}
+
+/** Returns true if two captured states hold the same values */
+export function statesEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Writes a captured state back onto an element and refreshes everything derived from it */
+export function applyElementState(renderer, element, state) {
+    renderer.markDirty(element); // Old area
+    Object.entries(state).forEach(([key, value]) => {
+        element[key] = value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    });
+    if (element.type === 'text') {
+        updateTextMetrics(renderer.ctx, element);
+    }
+    renderer.reindexElement(element);
+    renderer.markDirty(element); // New area
+    renderer.markOverlayDirty(); // Selection chrome may have moved
+}
+
+/** Command that switches an element between two captured states */
+export function createElementStateCommand(renderer, element, before, after, label = `Edit ${element.type}`) {
+    return {
+        label,
+        undo() {
+            applyElementState(renderer, element, before);
+        },
+        redo() {
+            applyElementState(renderer, element, after);
+        }
+    };
+}
+
+/** Returns the properties that describe an element's position, size and rotation (what a drag, resize or rotate changes) */
+export function getGeometryKeys(element) {
+    if (element.type === 'bezier') return ['points'];
+    if (element.type === 'text') return ['x', 'y', 'width', 'lines', 'rotation']; // width is the wrap width
+    return ['x', 'y', 'width', 'height', 'rotation'];
+}
+
+/** Returns true if two Cartesian points are (practically) the same */
+function samePoint(a, b) {
+    return !!a && !!b && Math.abs(a.x - b.x) < 1e-9 && Math.abs(a.y - b.y) < 1e-9;
+}
+
+/**
+ * Command for one pen tool segment. Besides adding/removing the curve it keeps an in-progress
+ * path consistent: undoing the last segment moves the pen back to that segment's start, so the
+ * path can be undone segment by segment and then continued; redo moves it forward again.
+ */
+export function createPenSegmentCommand(renderer, element, index) {
+    const add = createAddElementCommand(renderer, element, index, 'Add curve segment');
+    const [p0, p1, p2, p3] = element.points.map(pt => ({ x: pt.x, y: pt.y }));
+    const isDrawing = () => renderer.currentTool === 'pen' && renderer.bezierDrawingState === 'p1Defined';
+    return {
+        label: add.label,
+        undo() {
+            add.undo();
+            if (isDrawing() && samePoint(renderer.currentCurvePoints.p0, p3)) {
+                renderer.currentCurvePoints = { p0: { ...p0 }, p1: { ...p1 }, p3: null };
+                renderer.markOverlayDirty();
+            }
+        },
+        redo() {
+            add.redo();
+            if (isDrawing() && samePoint(renderer.currentCurvePoints.p0, p0)) {
+                // Same chaining as the pen tool: continue from P3 with P2 reflected through it
+                const reflected = { x: p3.x + (p3.x - p2.x), y: p3.y + (p3.y - p2.y) };
+                renderer.currentCurvePoints = { p0: { ...p3 }, p1: reflected, p3: null };
+                renderer.markOverlayDirty();
+            }
+        }
+    };
+}
@@ -0,0 +1,229 @@
+// htmlExport.js
+import { getUnrotatedBounds, getRegionBounds } from './utils/interactionUtils.js';
+import { getCubicPathData } from './utils/bezierUtils.js';
+
+/**
+ * HTML/CSS export. Every element becomes an absolutely positioned box inside a container sized to
+ * the content bounds. Cartesian positions (centre-based, Y up) are converted to CSS left/top
+ * (top-left based, Y down) relative to the top-left corner of those bounds.
+ *
+ * Supported types: rect -> <div>, text -> <div> with the wrapped lines, image -> <img>,
+ * bezier -> inline <svg>. Other types are skipped with a warning.
+ *
+ * Properties that follow a design token are written as `var(--token)`, with the tokens declared
+ * as CSS custom properties (see TokenRegistry). A rotated element keeps its unrotated box and gets
+ * a `transform: rotate()` around its centre (negated: CSS angles turn clockwise, Y being down).
+ */
+
+const DEFAULT_OPTIONS = {
+    region: 'content',       // What to export: 'content', 'selection', 'viewport' or a Cartesian rect
+    padding: 0,              // Extra space around the region, in Cartesian units (= CSS pixels)
+    classPrefix: 'board',    // Container class; elements get `${classPrefix}-el-${id}`
+    background: '#ffffff',   // Container background (null for transparent)
+    title: 'Cartesian Board Export'
+};
+
+/** Rounds to 2 decimals and adds a unit */
+export function px(value) {
+    return `${Math.round(value * 100) / 100}px`;
+}
+
+/** Escapes text for use in HTML content and attribute values */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Describes the board as layout nodes, independent of the output format:
+ *   { width, height, nodes: [{ element, tag, className, style, attributes, lines?, path? }] }
+ * `style` holds CSS properties (kebab-case) and `attributes` plain HTML attributes. Text nodes
+ * carry their wrapped `lines`; bezier nodes a `path` ({ d, stroke, strokeWidth }) in local pixels.
+ * Nodes are listed back-to-front, so document order gives the same stacking as the canvas.
+ * Only elements overlapping the region are included; the frame is the region plus padding.
+ */
+export function describeBoard(renderer, options = {}) {
+    const { padding, classPrefix, region } = { ...DEFAULT_OPTIONS, ...options };
+    const area = getRegionBounds(renderer, region) || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    const frame = {
+        minX: area.minX - padding,
+        maxY: area.maxY + padding,
+        width: area.maxX - area.minX + padding * 2,
+        height: area.maxY - area.minY + padding * 2
+    };
+
+    const nodes = [];
+    const describe = (el, elFrame) => {
+        if (el.type === 'group') {
+            // Groups are flattened: children are placed in the group's coordinates, in order
+            const groupFrame = { ...elFrame, minX: elFrame.minX - el.x, maxY: elFrame.maxY - el.y };
+            el.children.forEach(child => describe(child, groupFrame));
+            return;
+        }
+        const bounds = getUnrotatedBounds(renderer, el);
+        if (!bounds) return; // Nothing to place yet (e.g. an image of unknown size)
+        const node = describeElement(el, bounds, elFrame, renderer.tokens);
+        if (!node) {
+            console.warn(`HTML export: skipping element ${el.id} of unsupported type "${el.type}".`);
+            return;
+        }
+        node.element = el;
+        node.className = `${classPrefix}-el-${el.id}`;
+        nodes.push(node);
+    };
+    renderer.sortByDrawOrder(renderer.spatialIndex.query(area)).forEach(el => describe(el, frame));
+    return { width: frame.width, height: frame.height, nodes };
+}
+
+/** Builds the layout node for one element, or null if its type can't be exported */
+function describeElement(el, bounds, frame, tokens) {
+    // A property's CSS value: its token's custom property if it follows one, else `value`
+    const css = (property, value) => tokens.cssReference(el, property) || value;
+    const width = bounds.maxX - bounds.minX;
+    const height = bounds.maxY - bounds.minY;
+    // Cartesian top-left corner -> CSS offset from the frame's top-left (Y flips)
+    const style = {
+        position: 'absolute',
+        left: px(bounds.minX - frame.minX),
+        top: px(frame.maxY - bounds.maxY),
+        width: px(width),
+        height: px(height)
+    };
+    if (el.rotation) style.transform = `rotate(${-Math.round(el.rotation * 100) / 100}deg)`; // Around the box centre (the CSS default)
+
+    switch (el.type) {
+        case 'rect':
+            style['background-color'] = css('color', el.color);
+            return { tag: 'div', style, attributes: {} };
+
+        case 'image':
+            style.opacity = String(el.opacity);
+            return { tag: 'img', style, attributes: { src: el.src, alt: '' } };
+
+        case 'text': {
+            // Same box as the canvas: padded size, with the border stroked on the box edge.
+            // An outline pulled in by half its width straddles the edge like strokeRect does.
+            // The canvas starts the first line a further `padding` below the padded edge (see
+            // drawTextElement), so the top padding is doubled.
+            const padding = css('padding', px(el.padding));
+            Object.assign(style, {
+                'box-sizing': 'border-box',
+                padding,
+                margin: '0',
+                color: css('color', el.color),
+                font: `${el.fontStyle} ${el.fontWeight} ${px(el.fontSize)} ${css('fontFamily', el.fontFamily)}`,
+                'line-height': String(el.lineHeight),
+                'text-align': el.textAlign,
+                'white-space': 'pre' // Lines are already wrapped exactly as on the canvas
+            });
+            if (padding !== px(el.padding)) style['padding-top'] = `calc(${padding} * 2)`;
+            else if (el.padding) style['padding-top'] = px(el.padding * 2);
+            if (el.background) style['background-color'] = css('background', el.background);
+            if (el.borderWidth > 0) {
+                const borderWidth = css('borderWidth', px(el.borderWidth));
+                style.outline = `${borderWidth} ${el.borderStyle} ${css('borderColor', el.borderColor)}`;
+                style['outline-offset'] = borderWidth === px(el.borderWidth) ? px(-el.borderWidth / 2) : `calc(${borderWidth} / -2)`;
+            }
+            // The canvas draws each line from the top of its line box, CSS centres the glyphs in
+            // it; pulling the text up by the half-leading lines the two up
+            const halfLeading = (el.lineHeight - 1) * el.fontSize / 2;
+            return { tag: 'div', style, attributes: {}, lines: el.lines, lineOffset: -halfLeading };
+        }
+
+        case 'bezier': {
+            // Points relative to the node's own top-left corner, Y down
+            const local = el.points.map(pt => ({ x: pt.x - bounds.minX, y: bounds.maxY - pt.y }));
+            const n = (v) => Math.round(v * 100) / 100;
+            style.overflow = 'visible';
+            // SVG attributes can't use var(): a token color goes on the <svg> and the path uses currentColor
+            const colorReference = tokens.cssReference(el, 'color');
+            if (colorReference) style.color = colorReference;
+            return {
+                tag: 'svg',
+                style,
+                attributes: { width: n(width), height: n(height), viewBox: `0 0 ${n(width)} ${n(height)}` },
+                path: {
+                    d: getCubicPathData(local),
+                    stroke: colorReference ? 'currentColor' : el.color,
+                    strokeWidth: el.lineWidth
+                }
+            };
+        }
+
+        default:
+            return null;
+    }
+}
+
+/** Formats a style object as CSS declarations */
+export function formatDeclarations(style, indent) {
+    return Object.entries(style).map(([prop, value]) => `${indent}${prop}: ${value};`).join('\n');
+}
+
+/** Renders one layout node as HTML */
+function renderNode(node) {
+    const attributes = Object.entries(node.attributes)
+        .map(([name, value]) => ` ${name}="${escapeHTML(value)}"`)
+        .join('');
+    const open = `<${node.tag} class="${node.className}"${attributes}`;
+
+    if (node.tag === 'img') return `${open}>`;
+    if (node.path) {
+        const { d, stroke, strokeWidth } = node.path;
+        return `${open}><path d="${d}" fill="none" stroke="${escapeHTML(stroke)}" stroke-width="${strokeWidth}"/></svg>`;
+    }
+    if (node.lines) {
+        const text = node.lines.map(escapeHTML).join('<br>');
+        return `${open}><div style="margin-top: ${px(node.lineOffset)}">${text}</div></${node.tag}>`;
+    }
+    return `${open}></${node.tag}>`;
+}
+
+/**
+ * Exports the board as HTML and CSS. Returns
+ *   { html: standalone page, markup: the container element only, css: stylesheet for the markup }.
+ * Options: { region, padding, classPrefix, background, title }.
+ */
+export function exportHTML(renderer, options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+    const board = describeBoard(renderer, config);
+
+    const containerStyle = {
+        position: 'relative',
+        width: px(board.width),
+        height: px(board.height),
+        overflow: 'hidden'
+    };
+    if (config.background) containerStyle['background-color'] = config.background;
+
+    const rules = [`.${config.classPrefix} {\n${formatDeclarations(containerStyle, '    ')}\n}`];
+    if (renderer.tokens.tokens.size > 0) rules.unshift(renderer.tokens.toCSS().trimEnd());
+    board.nodes.forEach(node => {
+        rules.push(`.${config.classPrefix} .${node.className} {\n${formatDeclarations(node.style, '    ')}\n}`);
+    });
+    const css = rules.join('\n\n') + '\n';
+
+    const markup = [
+        `<div class="${config.classPrefix}">`,
+        ...board.nodes.map(node => `    ${renderNode(node)}`),
+        '</div>'
+    ].join('\n');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeHTML(config.title)}</title>
+    <style>
+${css}    </style>
+</head>
+<body>
+${markup}
+</body>
+</html>
+`;
+    return { html, markup, css };
+}
@@ -0,0 +1,87 @@
+// imageImport.js
+import * as Constants from './utils/constants.js';
+
+/**
+ * Turns image files from the desktop (dropped on the canvas or pasted) into image elements.
+ * Files are read as data URLs, so the images are stored in the document and survive a reload,
+ * a save or a paste into another tab. Large images are scaled down to IMAGE_IMPORT_MAX_SIZE.
+ */
+
+// Formats accepted from the desktop
+export const IMAGE_FILE_TYPES = ['image/png', 'image/jpeg', 'image/svg+xml', 'image/webp', 'image/gif'];
+
+/** Returns true for a file in one of the accepted image formats */
+export function isImageFile(file) {
+    return !!file && IMAGE_FILE_TYPES.includes(file.type);
+}
+
+/** Reads a file as a data URL, or resolves to null on failure */
+export function readFileAsDataURL(file) {
+    return new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => {
+            console.error(`Failed to read file "${file.name}":`, reader.error);
+            resolve(null);
+        };
+        reader.readAsDataURL(file);
+    });
+}
+
+/** Resolves to an image's natural { width, height }, or null if it can't be loaded (or measured here) */
+function measureImage(src) {
+    return new Promise(resolve => {
+        if (typeof Image === 'undefined') {
+            resolve(null);
+            return;
+        }
+        const image = new Image();
+        image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+        image.onerror = () => resolve(null);
+        image.src = src;
+    });
+}
+
+/** Scales a size down (never up) so neither side exceeds maxSize, keeping the aspect ratio */
+export function fitWithin(width, height, maxSize) {
+    const scale = Math.min(1, maxSize / width, maxSize / height);
+    return { width: width * scale, height: height * scale };
+}
+
+/**
+ * Adds image files as image elements (one undo step) and selects them. A single image is
+ * centred on `at` (Cartesian); several are laid out left to right in a row centred on it.
+ * Files that aren't images in a supported format are skipped. Resolves to the new elements.
+ */
+export async function addImageFiles(renderer, files, at) {
+    const images = [...files].filter(file => {
+        if (isImageFile(file)) return true;
+        console.warn(`Skipping "${file.name}": not a PNG, JPEG, SVG, WebP or GIF image.`);
+        return false;
+    });
+    if (images.length === 0) return [];
+
+    const loaded = await Promise.all(images.map(async file => {
+        const src = await readFileAsDataURL(file);
+        if (!src) return null;
+        const natural = await measureImage(src);
+        const size = natural && natural.width > 0 && natural.height > 0
+            ? fitWithin(natural.width, natural.height, Constants.IMAGE_IMPORT_MAX_SIZE)
+            : { width: Constants.IMAGE_IMPORT_FALLBACK_SIZE, height: Constants.IMAGE_IMPORT_FALLBACK_SIZE };
+        return { src, ...size };
+    }));
+    const entries = loaded.filter(Boolean);
+    if (entries.length === 0) return [];
+
+    // Row layout: image centres step right by half of each neighbour's width plus the gap
+    const rowWidth = entries.reduce((sum, entry) => sum + entry.width, 0) + Constants.IMAGE_IMPORT_GAP * (entries.length - 1);
+    let left = at.x - rowWidth / 2;
+    const added = renderer.history.transaction(entries.length > 1 ? 'Add images' : 'Add image', () => entries.map(entry => {
+        const element = renderer.addImage(left + entry.width / 2, at.y, entry.src, { width: entry.width, height: entry.height });
+        left += entry.width + Constants.IMAGE_IMPORT_GAP;
+        return element;
+    })).filter(Boolean);
+    if (added.length > 0) renderer.setSelection(added);
+    console.log(`Added ${added.length} image(s) from files`);
+    return added;
+}
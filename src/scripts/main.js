@@ -1,7 +1,8 @@
 // src/scripts/main.js
 import { CartesianRenderer } from './Renderer.js';
+import { createAutosave } from './autosave.js';
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     console.log("DOM Loaded, initializing renderer...");
     const engine = new CartesianRenderer("myCartesianCanvas");
 
@@ -10,20 +11,6 @@ document.addEventListener('DOMContentLoaded', () => {
         return;
     }
 
-    // --- Add initial elements (as before) ---
-    engine.addText(-200, 150, "Editable Text\n(Double-click Me!)", { /* ... options ... */ });
-    engine.addImage(150, 100, "https://picsum.photos/seed/image1/300/200", { width: 120 });
-    engine.addImage(-100, -150, "https://picsum.photos/seed/image2/150/150", { opacity: 0.8 });
-    engine.addImage(200, -50, "https://picsum.photos/seed/image3/100/200", { width: 50, height: 100 });
-    engine.addElement(0, 0, 40, 40, "purple");
-    engine.addText(0, -200, "This is a longer text string that should wrap automatically because a width is specified.", { /* ... options ... */ });
-    // Use a valid image or remove the intentionally failing one
-    // engine.addImage(-250, -50, "https://example.com/nonexistent_image.jpg", { width: 100 });
-    engine.addImage(-250, -50, "https://picsum.photos/seed/validreplace/200/150", { width: 100 });
-
-
-    console.log("Demo Loaded. Use toolbar to switch between Select and Bezier Tool.");
-
     // --- Add Tool Button Listeners ---
     const selectToolBtn = document.getElementById('selectToolBtn');
     const bezierToolBtn = document.getElementById('bezierToolBtn');
@@ -44,6 +31,127 @@ document.addEventListener('DOMContentLoaded', () => {
         console.error("Toolbar buttons or engine.setTool method not found!");
     }
 
+    // --- Grid Toggle ---
+    const gridToggleBtn = document.getElementById('gridToggleBtn');
+    if (gridToggleBtn) {
+        gridToggleBtn.addEventListener('click', () => {
+            const visible = !engine.gridOptions.visible;
+            engine.setGridOptions({ visible });
+            gridToggleBtn.classList.toggle('active', visible);
+        });
+    }
+
+    // --- Minimap ---
+    engine.showMinimap();
+    const minimapToggleBtn = document.getElementById('minimapToggleBtn');
+    if (minimapToggleBtn) {
+        minimapToggleBtn.addEventListener('click', () => {
+            if (engine.minimap) engine.hideMinimap();
+            else engine.showMinimap();
+            minimapToggleBtn.classList.toggle('active', !!engine.minimap);
+        });
+    }
+
+    // --- Export ---
+    const exportHtmlBtn = document.getElementById('exportHtmlBtn');
+    if (exportHtmlBtn) {
+        exportHtmlBtn.addEventListener('click', () => {
+            downloadFile('board.html', engine.exportHTML().html, 'text/html');
+        });
+    }
+    const exportSvgBtn = document.getElementById('exportSvgBtn');
+    if (exportSvgBtn) {
+        exportSvgBtn.addEventListener('click', () => {
+            downloadFile('board.svg', engine.exportSVG(), 'image/svg+xml');
+        });
+    }
+
+    const exportPngBtn = document.getElementById('exportPngBtn');
+    if (exportPngBtn) {
+        exportPngBtn.addEventListener('click', async () => {
+            // The selection if there is one, otherwise the whole board, at 2x
+            const region = engine.selection.size > 0 ? 'selection' : 'content';
+            const blob = await engine.exportPNG({ region, scale: 2, padding: 10, background: '#ffffff' });
+            if (blob) downloadFile('board.png', blob, 'image/png');
+            else window.alert("The PNG export failed; see the console for details. Images from other sites can only be exported if they allow cross-origin (CORS) access.");
+        });
+    }
+
+    // Component export: same region rule as the PNG export, one download per file
+    [['exportReactBtn', 'react'], ['exportVueBtn', 'vue']].forEach(([buttonId, framework]) => {
+        const button = document.getElementById(buttonId);
+        if (!button) return;
+        button.addEventListener('click', () => {
+            const region = engine.selection.size > 0 ? 'selection' : 'content';
+            const files = engine.exportComponent({ framework, region, name: 'BoardComponent' });
+            if (files) files.forEach(file => downloadFile(file.filename, file.content, 'text/plain'));
+        });
+    });
+
+    // --- Import ---
+    const importSvgBtn = document.getElementById('importSvgBtn');
+    const importSvgInput = document.getElementById('importSvgInput');
+    if (importSvgBtn && importSvgInput) {
+        importSvgBtn.addEventListener('click', () => importSvgInput.click());
+        importSvgInput.addEventListener('change', async () => {
+            const file = importSvgInput.files[0];
+            importSvgInput.value = ''; // Allow importing the same file again
+            if (!file) return;
+            // Drop the drawing in the middle of the current view
+            const centre = engine.toCartesianCoords(engine.viewWidth / 2, engine.viewHeight / 2);
+            engine.importSVG(await file.text(), { at: centre });
+        });
+    }
+
+    // --- Autosave / Restore ---
+    // Offer the last autosaved session; the demo elements are only added for a fresh start.
+    // Autosave starts afterwards so the demo can't overwrite the session before the user decides.
+    const autosave = createAutosave(engine);
+    // If the session can't be read or loaded, the demo is shown instead.
+    const session = await autosave.getLastSession();
+    const savedAt = session && new Date(session.savedAt).toLocaleString();
+    const hasElements = !!session && !!session.document && Array.isArray(session.document.elements) &&
+        session.document.elements.length > 0;
+    const restored = hasElements &&
+        window.confirm(`Restore the board from your last session (saved ${savedAt})?`) &&
+        await autosave.restore(session);
+    if (!restored) {
+        addDemoElements(engine);
+        engine.history.clear(); // The demo is the starting point, not something to undo
+    }
+    autosave.start();
+
     // Optional: Make engine accessible globally for debugging
     // window.cartesianEngine = engine;
-});
\ No newline at end of file
+});
+
+/** Saves text or a Blob as a file through a temporary download link */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Some browsers start the download asynchronously; revoking right away can cancel it
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Adds the demo elements shown on a fresh board */
+function addDemoElements(engine) {
+    // A few design tokens; editing one (e.g. engine.tokens.set('accent', 'teal')) restyles everything using it
+    engine.tokens.define('accent', 'color', 'purple');
+    engine.tokens.define('heading', 'font', 'Georgia, serif');
+    engine.tokens.define('inset', 'spacing', 6);
+
+    engine.addText(-200, 150, "Editable Text\n(Double-click Me!)", { tokens: { color: 'accent', fontFamily: 'heading', padding: 'inset' } });
+    engine.addImage(150, 100, "https://picsum.photos/seed/image1/300/200", { width: 120 });
+    engine.addImage(-100, -150, "https://picsum.photos/seed/image2/150/150", { opacity: 0.8 });
+    engine.addImage(200, -50, "https://picsum.photos/seed/image3/100/200", { width: 50, height: 100 });
+    engine.addElementOfType('rect', { x: 0, y: 0, width: 40, height: 40, tokens: { color: 'accent' } });
+    engine.addText(0, -200, "This is a longer text string that should wrap automatically because a width is specified.", { /* ... options ... */ });
+    // Use a valid image or remove the intentionally failing one
+    // engine.addImage(-250, -50, "https://example.com/nonexistent_image.jpg", { width: 100 });
+    engine.addImage(-250, -50, "https://picsum.photos/seed/validreplace/200/150", { width: 100 });
+
+    console.log("Demo Loaded. Use toolbar to switch between Select and Bezier Tool.");
+}
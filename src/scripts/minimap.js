@@ -0,0 +1,147 @@
+// minimap.js
+import * as Constants from './utils/constants.js';
+import { centerOn } from './camera.js';
+import { unionBounds } from './utils/interactionUtils.js';
+
+/**
+ * Creates the minimap navigator: a small canvas in the corner of the board showing every element
+ * at reduced scale, plus a rectangle for the area currently on screen. Clicking or dragging inside
+ * it moves the main view. Elements are painted with the renderer's own drawing functions through
+ * renderer.createView, so the minimap always matches the board.
+ *
+ * Returns { canvas, markDirty(), render(), destroy() }.
+ */
+export function createMinimap(renderer, options = {}) {
+    const width = options.width || Constants.MINIMAP_WIDTH;
+    const height = options.height || Constants.MINIMAP_HEIGHT;
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'minimap';
+    canvas.style.position = 'absolute';
+    canvas.style.right = `${Constants.MINIMAP_MARGIN}px`;
+    canvas.style.bottom = `${Constants.MINIMAP_MARGIN}px`;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    canvas.style.zIndex = '10'; // Above the interaction overlay, level with the toolbar
+    renderer.canvas.parentNode.appendChild(canvas);
+    const ctx = canvas.getContext('2d');
+
+    const minimap = {
+        canvas,
+        dirty: true,
+        lastRender: -Infinity,
+        transform: null, // { scale, originX, originY } mapping Cartesian -> minimap pixels
+
+        /** Requests a repaint on the next renderer frame */
+        markDirty() {
+            this.dirty = true;
+        },
+
+        /** Repaints if dirty, at most once per MINIMAP_REFRESH_MS (big boards are costly to redraw) */
+        update(now = performance.now()) {
+            if (!this.dirty || now - this.lastRender < Constants.MINIMAP_REFRESH_MS) return;
+            this.render();
+            this.lastRender = now;
+        },
+
+        /** Paints the whole minimap */
+        render() {
+            this.dirty = false;
+            const ratio = renderer.pixelRatio;
+            if (canvas.width !== Math.round(width * ratio)) {
+                canvas.width = Math.round(width * ratio);
+                canvas.height = Math.round(height * ratio);
+            }
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.clearRect(0, 0, width, height);
+            ctx.fillStyle = Constants.MINIMAP_BACKGROUND;
+            ctx.fillRect(0, 0, width, height);
+
+            const viewport = renderer.getViewportBounds();
+            // While the user drags inside the minimap, keep the previous fit so the map doesn't
+            // shift under the cursor as the viewport rectangle moves
+            if (!navigating || !this.transform) {
+                // Fit the content and the current viewport, with a little padding
+                const content = renderer.getContentBounds();
+                const world = content ? unionBounds(content, viewport) : viewport;
+                const padding = Constants.MINIMAP_PADDING;
+                const worldWidth = Math.max(world.maxX - world.minX, 1);
+                const worldHeight = Math.max(world.maxY - world.minY, 1);
+                const scale = Math.min((width - padding * 2) / worldWidth, (height - padding * 2) / worldHeight);
+                // Centre the world inside the minimap
+                this.transform = {
+                    scale,
+                    originX: width / 2 - ((world.minX + world.maxX) / 2) * scale,
+                    originY: height / 2 + ((world.minY + world.maxY) / 2) * scale
+                };
+            }
+            const { scale, originX, originY } = this.transform;
+
+            const view = renderer.createView(ctx, { originX, originY, zoom: scale, width, height, pixelRatio: ratio });
+            renderer.elements.forEach(el => {
+                if (el === renderer.editingElement) return;
+                view.drawElementByType(el);
+            });
+
+            // Viewport rectangle
+            const topLeft = view.toScreenCoords(viewport.minX, viewport.maxY);
+            const bottomRight = view.toScreenCoords(viewport.maxX, viewport.minY);
+            ctx.save();
+            ctx.fillStyle = Constants.MINIMAP_VIEWPORT_FILL;
+            ctx.strokeStyle = Constants.MINIMAP_VIEWPORT_STROKE;
+            ctx.lineWidth = 1;
+            ctx.fillRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+            ctx.strokeRect(topLeft.x + 0.5, topLeft.y + 0.5, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+            ctx.restore();
+        },
+
+        /** Removes the minimap and its listeners */
+        destroy() {
+            canvas.removeEventListener('pointerdown', handlePointerDown);
+            canvas.removeEventListener('pointermove', handlePointerMove);
+            canvas.removeEventListener('pointerup', handlePointerUp);
+            canvas.removeEventListener('pointercancel', handlePointerUp);
+            if (canvas.parentNode) canvas.parentNode.removeChild(canvas);
+        }
+    };
+
+    // --- Navigation ---
+    let navigating = false;
+
+    /** Centres the main view on the Cartesian point under a minimap pointer event */
+    function navigateTo(event) {
+        if (!minimap.transform) return;
+        const rect = canvas.getBoundingClientRect();
+        const { scale, originX, originY } = minimap.transform;
+        const x = (event.clientX - rect.left - originX) / scale;
+        const y = -(event.clientY - rect.top - originY) / scale;
+        centerOn(renderer, x, y);
+        minimap.markDirty();
+    }
+
+    function handlePointerDown(event) {
+        if (event.button !== 0) return;
+        event.preventDefault();
+        navigating = true;
+        canvas.setPointerCapture(event.pointerId);
+        navigateTo(event);
+    }
+
+    function handlePointerMove(event) {
+        if (navigating) navigateTo(event);
+    }
+
+    function handlePointerUp(event) {
+        if (!navigating) return;
+        navigating = false;
+        canvas.releasePointerCapture(event.pointerId);
+        minimap.markDirty(); // Refit now that the drag is over
+    }
+
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    canvas.addEventListener('pointerup', handlePointerUp);
+    canvas.addEventListener('pointercancel', handlePointerUp);
+
+    return minimap;
+}
@@ -0,0 +1,114 @@
+// pngExport.js
+import * as Constants from './utils/constants.js';
+import * as Drawing from './drawing.js';
+import { getRegionBounds } from './utils/interactionUtils.js';
+import { getGroupOffset, isInGroup, createOffsetView } from './utils/groupUtils.js';
+
+/**
+ * Raster export. A region of the board is painted onto an offscreen canvas with the regular
+ * drawing functions (through renderer.createView), so the image matches the canvas exactly.
+ * Selection chrome, hover highlights and pen previews live on the interaction overlay and are
+ * never included; the grid and axes are left out unless `axes` is set.
+ */
+
+/** Creates a canvas that isn't attached to the page */
+function createOffscreenCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Paints a region of the board onto a new offscreen canvas and returns it (null if the region is
+ * empty or too large). Options:
+ *   region      'content' (default), 'selection', 'viewport' or a Cartesian rect (see getRegionBounds);
+ *               'selection' paints only the selected elements
+ *   scale       output pixels per Cartesian unit, e.g. 1, 2 or 3 (default 1)
+ *   padding     extra Cartesian units around the region (default 0)
+ *   background  fill colour, or null for a transparent image (default null)
+ *   axes        include the grid and axes (default false)
+ *   canvas      draw into this canvas instead of creating one (it is resized to fit)
+ */
+export function renderRegionToCanvas(renderer, options = {}) {
+    const bounds = getRegionBounds(renderer, options.region);
+    if (!bounds) {
+        console.error("PNG export: there is nothing to export for this region.");
+        return null;
+    }
+    const scale = options.scale || 1;
+    const padding = options.padding || 0;
+    const minX = bounds.minX - padding;
+    const maxY = bounds.maxY + padding;
+    const width = bounds.maxX - bounds.minX + padding * 2;
+    const height = bounds.maxY - bounds.minY + padding * 2;
+
+    const pixelWidth = Math.max(1, Math.ceil(width * scale));
+    const pixelHeight = Math.max(1, Math.ceil(height * scale));
+    if (pixelWidth > Constants.RASTER_EXPORT_MAX_SIZE || pixelHeight > Constants.RASTER_EXPORT_MAX_SIZE) {
+        console.error(`PNG export: ${pixelWidth}x${pixelHeight} pixels is too large (max ${Constants.RASTER_EXPORT_MAX_SIZE} per side). Use a smaller region or scale.`);
+        return null;
+    }
+
+    let canvas = options.canvas;
+    if (canvas) {
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+    } else {
+        canvas = createOffscreenCanvas(pixelWidth, pixelHeight);
+    }
+    const ctx = canvas.getContext('2d');
+    // Draw in Cartesian-sized pixels; the scale works like a device pixel ratio
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    if (options.background) {
+        ctx.fillStyle = options.background;
+        ctx.fillRect(0, 0, width, height);
+    }
+
+    // Put the region's top-left corner at (0, 0)
+    const view = renderer.createView(ctx, { originX: -minX, originY: maxY, zoom: 1, width, height, pixelRatio: scale });
+    if (options.axes) {
+        Drawing.drawAxes(view);
+    }
+    if (options.region === 'selection') {
+        // Only what is selected, not whatever else overlaps it. Selected groups bring their children;
+        // a selected child of an entered group is drawn at its place in the group.
+        renderer.getSelectedElements()
+            .filter(el => ![...renderer.selection].some(group => isInGroup(el, group)))
+            .forEach(el => {
+                const offset = getGroupOffset(el);
+                createOffsetView(view, offset.x, offset.y).drawElementByType(el);
+            });
+        return canvas;
+    }
+    const region = { minX, minY: maxY - height, maxX: minX + width, maxY };
+    renderer.sortByDrawOrder(renderer.spatialIndex.query(region)).forEach(el => {
+        view.drawElementByType(el);
+    });
+    return canvas;
+}
+
+/** Encodes a canvas (regular or offscreen) as a PNG blob */
+function canvasToBlob(canvas) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type: 'image/png' });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('encoding failed'))), 'image/png');
+    });
+}
+
+/**
+ * Exports a region of the board as a PNG blob. Resolves to null (after logging) if there is
+ * nothing to export or the image can't be encoded, e.g. because a cross-origin image without
+ * CORS headers tainted the canvas. Takes the same options as renderRegionToCanvas.
+ */
+export function exportPNG(renderer, options = {}) {
+    const canvas = renderRegionToCanvas(renderer, options);
+    if (!canvas) return Promise.resolve(null);
+    return canvasToBlob(canvas).catch(e => {
+        console.error("PNG export failed (images from other origins must allow CORS to be exported):", e);
+        return null;
+    });
+}
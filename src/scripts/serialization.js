@@ -0,0 +1,126 @@
+// serialization.js
+import * as Constants from './utils/constants.js';
+
+/**
+ * Document schema (version 1):
+ *   {
+ *     format: 'cartesian-drawing-board',
+ *     version: 1,
+ *     nextElementId: <number>,
+ *     tokens: { name: { type, value } },  // design tokens (optional)
+ *     elements: [{ id, type, ...props, tokens? }]   // back-to-front; props come from the type's serialize()
+ *   }
+ * An element's `tokens` maps properties to the design tokens they follow (e.g. { color: 'primary' }).
+ * Only authored properties are stored. Derived state (text lines and metrics, live Image objects,
+ * load flags) is rebuilt by each type's `create` when the document is loaded.
+ */
+
+// Properties that older saves may contain but that are always recomputed on load
+const COMPUTED_KEYS = ['lines', 'maxWidth', 'totalHeight', 'paddedWidth', 'paddedHeight', 'image', 'loaded', 'error'];
+
+/**
+ * Migrations from each schema version to the next: MIGRATIONS[n] turns a version n document into
+ * a version n + 1 document. Add one here whenever DOCUMENT_VERSION is bumped.
+ */
+const MIGRATIONS = {
+    // Version 0: a bare JSON dump of renderer.elements, computed state included
+    0: (elements) => {
+        const cleaned = elements.map(el => {
+            const copy = { ...el };
+            COMPUTED_KEYS.forEach(key => delete copy[key]);
+            return copy;
+        });
+        const maxId = cleaned.reduce((max, el) => Math.max(max, Number(el.id) || 0), -1);
+        return {
+            format: Constants.DOCUMENT_FORMAT,
+            version: 1,
+            nextElementId: maxId + 1,
+            elements: cleaned
+        };
+    }
+};
+
+/** Builds the current-version document for the renderer's scene */
+export function serializeDocument(renderer) {
+    return {
+        format: Constants.DOCUMENT_FORMAT,
+        version: Constants.DOCUMENT_VERSION,
+        nextElementId: renderer.nextElementId,
+        tokens: renderer.tokens.toJSON(),
+        elements: renderer.elements.map(el => serializeElement(renderer, el))
+    };
+}
+
+/** Returns one element's saved form, { id, type, ...props, tokens? } */
+export function serializeElement(renderer, el) {
+    const definition = renderer.elementTypes.get(el.type);
+    const props = definition ? definition.serialize(renderer, el) : {};
+    // Token references apply to every type, so they're saved here rather than by serialize()
+    return el.tokens ? { id: el.id, type: el.type, ...props, tokens: { ...el.tokens } } : { id: el.id, type: el.type, ...props };
+}
+
+/**
+ * Parses a document (JSON string or already-parsed value) and migrates it to the current version.
+ * Returns the document, or null (after logging) if it can't be read.
+ */
+export function parseDocument(json) {
+    let doc = json;
+    if (typeof json === 'string') {
+        try {
+            doc = JSON.parse(json);
+        } catch (e) {
+            console.error("Failed to parse document JSON:", e);
+            return null;
+        }
+    }
+    // Bare element arrays predate the versioned schema
+    let version = Array.isArray(doc) ? 0 : doc && doc.version;
+
+    if (!Array.isArray(doc)) {
+        if (!doc || typeof doc !== 'object' || !Array.isArray(doc.elements)) {
+            console.error("Document has no elements list.");
+            return null;
+        }
+        if (doc.format && doc.format !== Constants.DOCUMENT_FORMAT) {
+            console.error(`Unsupported document format "${doc.format}".`);
+            return null;
+        }
+    }
+    if (typeof version !== 'number' || version > Constants.DOCUMENT_VERSION) {
+        console.error(`Unsupported document version ${version} (this build reads up to ${Constants.DOCUMENT_VERSION}).`);
+        return null;
+    }
+
+    while (version < Constants.DOCUMENT_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            console.error(`No migration from document version ${version}.`);
+            return null;
+        }
+        doc = migrate(doc);
+        version = doc.version;
+        console.log(`Migrated document to version ${version}`);
+    }
+    return doc;
+}
+
+// Numeric properties that must be finite numbers when present (width/height may also be null,
+// e.g. an image that takes its natural size once loaded)
+const NUMERIC_KEYS = ['x', 'y', 'width', 'height', 'rotation', 'fontSize', 'lineHeight', 'padding', 'borderWidth', 'lineWidth', 'opacity'];
+const NULLABLE_KEYS = ['width', 'height'];
+
+/**
+ * Returns true if an element in its saved form ({ ...props } of a given type, e.g. from a document
+ * or a paste) can be placed on the board: curves need four finite points, everything else a
+ * finite x and y, and no numeric property may be NaN, infinite or the wrong type.
+ */
+export function isValidElementData(type, props) {
+    const isPoint = pt => !!pt && Number.isFinite(pt.x) && Number.isFinite(pt.y);
+    if (type === 'bezier') {
+        if (!Array.isArray(props.points) || props.points.length !== 4 || !props.points.every(isPoint)) return false;
+    } else if (!Number.isFinite(props.x) || !Number.isFinite(props.y)) {
+        return false;
+    }
+    return NUMERIC_KEYS.every(key =>
+        props[key] === undefined || Number.isFinite(props[key]) || (props[key] === null && NULLABLE_KEYS.includes(key)));
+}
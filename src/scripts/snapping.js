@@ -0,0 +1,100 @@
+// snapping.js
+import * as Constants from './utils/constants.js';
+import { getElementCartesianBounds } from './utils/interactionUtils.js';
+import { isInGroup } from './utils/groupUtils.js';
+
+/**
+ * Smart snapping for drags and resizes. The edges and centre of what is moving snap to the X and
+ * Y axes (so to the origin where they cross) and to the edges and centres of other elements in
+ * view, once within SNAP_THRESHOLD screen pixels. The lines snapped to become guides,
+ *   { axis: 'x' | 'y', value, from, to }
+ * a vertical (axis 'x', at x = value) or horizontal line in Cartesian units, running from `from`
+ * to `to` along the other axis, or across the whole view when those are null (an axis).
+ * The overlay draws renderer.snapGuides. Holding SNAP_SUSPEND_KEY (S) while dragging or resizing
+ * turns snapping off; the key has no other role, so a drag can start with it held.
+ */
+
+/** Returns true if snapping applies right now (it doesn't while SNAP_SUSPEND_KEY is held) */
+export function isSnapEnabled(renderer) {
+    return !renderer.snapSuspended;
+}
+
+/**
+ * Returns the lines the given (moving) elements can snap to, as { x: [...], y: [...] } lists of
+ * { value, from, to }: the axes plus the edges and centres of the other elements in view.
+ * Groups holding a moving element are skipped, as their bounds move with it; inside an entered
+ * group its other children count too.
+ */
+export function getSnapTargets(renderer, moving) {
+    const targets = {
+        x: [{ value: 0, from: null, to: null }], // The Y axis (x = 0)
+        y: [{ value: 0, from: null, to: null }] // The X axis (y = 0)
+    };
+    const holdsMoving = el => moving.some(m => m === el || isInGroup(m, el));
+    const candidates = renderer.spatialIndex.query(renderer.getViewportBounds()).filter(el => !holdsMoving(el));
+    if (renderer.activeGroup) {
+        candidates.push(...renderer.activeGroup.children.filter(el => !holdsMoving(el)));
+    }
+    candidates.forEach(el => {
+        const b = getElementCartesianBounds(renderer, el);
+        if (!b) return; // Not placed yet (e.g. an image of unknown size)
+        [b.minX, (b.minX + b.maxX) / 2, b.maxX].forEach(value => targets.x.push({ value, from: b.minY, to: b.maxY }));
+        [b.minY, (b.minY + b.maxY) / 2, b.maxY].forEach(value => targets.y.push({ value, from: b.minX, to: b.maxX }));
+    });
+    return targets;
+}
+
+/** Returns the shift (within `threshold`) that lines one of `lines` up with the closest target, or 0 */
+function findSnapOffset(lines, targets, threshold) {
+    let best = null;
+    lines.forEach(line => targets.forEach(target => {
+        const offset = target.value - line;
+        if (Math.abs(offset) <= threshold && (best === null || Math.abs(offset) < Math.abs(best))) best = offset;
+    }));
+    return best === null ? 0 : best;
+}
+
+/**
+ * Returns a guide for each target value one of `lines` sits on, spanning the targets there and
+ * the moving box ({ min, max } along the other axis). Axes span the whole view.
+ */
+function getGuides(axis, lines, targets, span) {
+    const guides = new Map(); // Target value -> guide, so lined-up targets share one line
+    targets.forEach(target => {
+        if (!lines.some(line => Math.abs(line - target.value) < 1e-6)) return;
+        const guide = guides.get(target.value);
+        if (target.from === null || (guide && guide.from === null)) {
+            guides.set(target.value, { axis, value: target.value, from: null, to: null });
+        } else {
+            guides.set(target.value, {
+                axis,
+                value: target.value,
+                from: Math.min(target.from, span.min, guide ? guide.from : Infinity),
+                to: Math.max(target.to, span.max, guide ? guide.to : -Infinity)
+            });
+        }
+    });
+    return [...guides.values()];
+}
+
+/**
+ * Snaps a moving box (Cartesian bounds). `lines` picks what snaps on each axis: 'box' for the
+ * edges and centre, a list of values (e.g. the edge under a resize handle), or null for an axis
+ * that doesn't snap. Returns { dx, dy, guides }: the shift to add, and the guides for the result.
+ */
+export function snapBounds(renderer, box, targets, lines = { x: 'box', y: 'box' }) {
+    const threshold = Constants.SNAP_THRESHOLD / renderer.zoom;
+    const boxLines = (min, max, which) => (which === 'box' ? [min, (min + max) / 2, max] : which || []);
+    const xs = boxLines(box.minX, box.maxX, lines.x);
+    const ys = boxLines(box.minY, box.maxY, lines.y);
+    const dx = findSnapOffset(xs, targets.x, threshold);
+    const dy = findSnapOffset(ys, targets.y, threshold);
+    return {
+        dx,
+        dy,
+        guides: [
+            ...getGuides('x', xs.map(x => x + dx), targets.x, { min: box.minY + dy, max: box.maxY + dy }),
+            ...getGuides('y', ys.map(y => y + dy), targets.y, { min: box.minX + dx, max: box.maxX + dx })
+        ]
+    };
+}
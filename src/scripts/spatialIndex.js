@@ -0,0 +1,188 @@
+// spatialIndex.js
+// A quadtree over Cartesian bounds ({ minX, minY, maxX, maxY }) used to find the elements
+// near a point or inside a rectangle without walking every element on the board.
+
+const MAX_ITEMS_PER_NODE = 8;
+const MAX_DEPTH = 16;
+const INITIAL_HALF_SIZE = 1024;
+const MAX_GROW_STEPS = 64; // Root doublings before far-off bounds are kept unbounded instead (2048 * 2^64 units across)
+
+/** Returns true if rectangle `a` fully contains rectangle `b` */
+function contains(a, b) {
+    return b.minX >= a.minX && b.maxX <= a.maxX && b.minY >= a.minY && b.maxY <= a.maxY;
+}
+
+/** Returns true if two rectangles overlap (touching edges count) */
+export function boundsIntersect(a, b) {
+    return a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+}
+
+class QuadNode {
+    constructor(bounds, depth) {
+        this.bounds = bounds;
+        this.depth = depth;
+        this.items = new Set(); // Items that fit here but not entirely inside a single child
+        this.children = null;
+    }
+
+    /** Inserts an entry and returns the node that ended up holding it */
+    insert(entry) {
+        if (this.children) {
+            const child = this.children.find(c => contains(c.bounds, entry.bounds));
+            if (child) return child.insert(entry);
+        }
+        this.items.add(entry);
+        if (!this.children && this.items.size > MAX_ITEMS_PER_NODE && this.depth < MAX_DEPTH) {
+            this.split();
+            // The entry may have moved to a child during the split
+            return entry.node;
+        }
+        entry.node = this;
+        return this;
+    }
+
+    /** Creates the four child quadrants and pushes down the items that fit inside one */
+    split() {
+        const { minX, minY, maxX, maxY } = this.bounds;
+        const midX = (minX + maxX) / 2;
+        const midY = (minY + maxY) / 2;
+        const depth = this.depth + 1;
+        this.children = [
+            new QuadNode({ minX, minY: midY, maxX: midX, maxY }, depth),
+            new QuadNode({ minX: midX, minY: midY, maxX, maxY }, depth),
+            new QuadNode({ minX, minY, maxX: midX, maxY: midY }, depth),
+            new QuadNode({ minX: midX, minY, maxX, maxY: midY }, depth)
+        ];
+        const items = [...this.items];
+        this.items.clear();
+        items.forEach(entry => {
+            const child = this.children.find(c => contains(c.bounds, entry.bounds));
+            if (child) {
+                child.insert(entry);
+            } else {
+                this.items.add(entry);
+                entry.node = this;
+            }
+        });
+    }
+
+    /** Collects every entry whose bounds overlap `rect` */
+    query(rect, results) {
+        if (!boundsIntersect(this.bounds, rect)) return;
+        this.items.forEach(entry => {
+            if (boundsIntersect(entry.bounds, rect)) results.push(entry.item);
+        });
+        if (this.children) {
+            this.children.forEach(child => child.query(rect, results));
+        }
+    }
+}
+
+/**
+ * Spatial index keyed by item (usually an element object).
+ * Items without bounds (e.g. images that haven't loaded yet) are kept in a separate list and
+ * returned by every query, so callers never miss them.
+ */
+export class SpatialIndex {
+    constructor() {
+        this.clear();
+    }
+
+    /** Removes everything from the index */
+    clear() {
+        const h = INITIAL_HALF_SIZE;
+        this.root = new QuadNode({ minX: -h, minY: -h, maxX: h, maxY: h }, 0);
+        this.entries = new Map(); // item -> { item, bounds, node }
+        this.unbounded = new Set();
+    }
+
+    /** Number of indexed items */
+    get size() {
+        return this.entries.size + this.unbounded.size;
+    }
+
+    /** Adds an item, or moves it if it is already indexed */
+    insert(item, bounds) {
+        this.remove(item);
+        // Bounds that are missing or not finite (e.g. from NaN coordinates) can't be placed in the tree
+        if (!bounds || ![bounds.minX, bounds.minY, bounds.maxX, bounds.maxY].every(Number.isFinite)) {
+            this.unbounded.add(item);
+            return;
+        }
+        // Grow the root until it covers the new bounds (the canvas is unbounded), up to a limit
+        for (let steps = 0; !contains(this.root.bounds, bounds); steps++) {
+            if (steps === MAX_GROW_STEPS) {
+                console.warn("Spatial index: bounds are too far from the origin to index; treating them as unbounded.", bounds);
+                this.unbounded.add(item);
+                return;
+            }
+            this.grow(bounds);
+        }
+        const entry = { item, bounds, node: null };
+        this.entries.set(item, entry);
+        this.root.insert(entry);
+    }
+
+    /** Returns true if an item is indexed */
+    has(item) {
+        return this.entries.has(item) || this.unbounded.has(item);
+    }
+
+    /** Re-inserts an item with new bounds (call after moving or resizing) */
+    update(item, bounds) {
+        this.insert(item, bounds);
+    }
+
+    /** Removes an item from the index */
+    remove(item) {
+        if (this.unbounded.delete(item)) return;
+        const entry = this.entries.get(item);
+        if (!entry) return;
+        entry.node.items.delete(entry);
+        this.entries.delete(item);
+    }
+
+    /** Returns the items whose bounds overlap the Cartesian rectangle (in no particular order) */
+    query(rect) {
+        const results = [...this.unbounded];
+        this.root.query(rect, results);
+        return results;
+    }
+
+    /** Returns the items whose bounds contain the Cartesian point, optionally inflated by `tolerance` */
+    queryPoint(x, y, tolerance = 0) {
+        return this.query({ minX: x - tolerance, minY: y - tolerance, maxX: x + tolerance, maxY: y + tolerance });
+    }
+
+    /** Returns the union of all indexed bounds, or null if nothing with bounds is indexed */
+    getBounds() {
+        if (this.entries.size === 0) return null;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        this.entries.forEach(({ bounds }) => {
+            minX = Math.min(minX, bounds.minX);
+            minY = Math.min(minY, bounds.minY);
+            maxX = Math.max(maxX, bounds.maxX);
+            maxY = Math.max(maxY, bounds.maxY);
+        });
+        return { minX, minY, maxX, maxY };
+    }
+
+    /** Doubles the root's extent in the direction of `bounds` */
+    grow(bounds) {
+        const { minX, minY, maxX, maxY } = this.root.bounds;
+        const size = maxX - minX;
+        const growLeft = bounds.minX < minX;
+        const growDown = bounds.minY < minY;
+        const newBounds = {
+            minX: growLeft ? minX - size : minX,
+            maxX: growLeft ? maxX : maxX + size,
+            minY: growDown ? minY - size : minY,
+            maxY: growDown ? maxY : maxY + size
+        };
+        // Rebuild from scratch: the old tree's node boundaries don't line up with the new root's
+        // quadrants in general, and growth is rare enough that a rebuild is cheap
+        const entries = [...this.entries.values()];
+        this.root = new QuadNode(newBounds, 0);
+        entries.forEach(entry => this.root.insert(entry));
+    }
+}
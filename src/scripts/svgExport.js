@@ -0,0 +1,155 @@
+// svgExport.js
+import { getRectBounds, getTextBounds } from './utils/interactionUtils.js';
+import { getCubicPathData } from './utils/bezierUtils.js';
+import { escapeHTML } from './htmlExport.js';
+
+/**
+ * SVG export. The document keeps Cartesian units: x is unchanged and y is negated (SVG's Y axis
+ * points down), so a point (x, y) on the board is (x, -y) in the SVG. Text stays upright, which a
+ * flipping transform on a group wouldn't allow. The viewBox is fitted to the content bounds.
+ *
+ * Supported types: rect, text (background/border rects plus <text> with one <tspan> per wrapped
+ * line), image and bezier. Other types are skipped with a warning. Rotated elements get a
+ * rotate() transform around their centre, negated like the Y axis.
+ */
+
+const DEFAULT_OPTIONS = {
+    padding: 0,        // Extra space around the content, in Cartesian units
+    background: null   // Fill behind the content (null for transparent)
+};
+
+/** Rounds to 2 decimals */
+function n(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/** Formats an attribute list, skipping null/undefined values */
+function attrs(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([name, value]) => ` ${name}="${escapeHTML(value)}"`)
+        .join('');
+}
+
+/** Dash pattern matching the canvas border styles in drawTextElement */
+function getDashArray(borderStyle, borderWidth) {
+    if (borderStyle === 'dashed') return '5 5';
+    if (borderStyle === 'dotted') return `${n(borderWidth)} ${n(borderWidth * 1.5)}`;
+    return null;
+}
+
+/** Returns the transform attribute value turning a box by an element's rotation, or null if it isn't rotated */
+function getRotateTransform(el, box) {
+    if (!el.rotation) return null;
+    return `rotate(${n(-el.rotation)} ${n((box.minX + box.maxX) / 2)} ${n(-(box.minY + box.maxY) / 2)})`;
+}
+
+/** Returns the SVG markup for one element, or null if its type can't be exported */
+function renderElement(renderer, el) {
+    switch (el.type) {
+        case 'rect': {
+            const b = getRectBounds(el);
+            return `<rect${attrs({ x: n(b.minX), y: n(-b.maxY), width: n(el.width), height: n(el.height), fill: el.color, transform: getRotateTransform(el, b) })}/>`;
+        }
+
+        case 'image': {
+            const b = getRectBounds(el);
+            if (!b) return ''; // Size unknown until the image loads
+            return `<image${attrs({
+                transform: getRotateTransform(el, b),
+                href: el.src,
+                x: n(b.minX), y: n(-b.maxY), width: n(el.width), height: n(el.height),
+                opacity: el.opacity === 1 ? null : el.opacity,
+                preserveAspectRatio: 'none' // The canvas stretches images to the element size
+            })}/>`;
+        }
+
+        case 'bezier': {
+            const flipped = el.points.map(pt => ({ x: pt.x, y: -pt.y }));
+            return `<path${attrs({ d: getCubicPathData(flipped), fill: 'none', stroke: el.color, 'stroke-width': el.lineWidth })}/>`;
+        }
+
+        case 'text': {
+            const box = getTextBounds(renderer, el);
+            const parts = [];
+            const boxAttrs = { x: n(box.minX), y: n(-box.maxY), width: n(box.maxX - box.minX), height: n(box.maxY - box.minY) };
+            if (el.background) {
+                parts.push(`<rect${attrs({ ...boxAttrs, fill: el.background })}/>`);
+            }
+            if (el.borderWidth > 0) {
+                parts.push(`<rect${attrs({
+                    ...boxAttrs,
+                    fill: 'none',
+                    stroke: el.borderColor,
+                    'stroke-width': el.borderWidth,
+                    'stroke-dasharray': getDashArray(el.borderStyle, el.borderWidth)
+                })}/>`);
+            }
+            // Lines start a further `padding` inside the padded box, as on the canvas (see
+            // drawTextElement); each is anchored at the element's x like fillText
+            const anchor = { left: 'start', center: 'middle', right: 'end' }[el.textAlign] || 'middle';
+            const top = -box.maxY + el.padding * 2;
+            const tspans = el.lines.map((line, index) =>
+                `<tspan${attrs({ x: n(el.x), y: n(top + index * el.fontSize * el.lineHeight) })}>${escapeHTML(line)}</tspan>`
+            ).join('');
+            parts.push(`<text${attrs({
+                'font-family': el.fontFamily,
+                'font-size': el.fontSize,
+                'font-weight': el.fontWeight === 'normal' ? null : el.fontWeight,
+                'font-style': el.fontStyle === 'normal' ? null : el.fontStyle,
+                fill: el.color,
+                'text-anchor': anchor,
+                'dominant-baseline': 'text-before-edge', // Same as the canvas's 'top' baseline
+                'xml:space': 'preserve'
+            })}>${tspans}</text>`);
+            const transform = getRotateTransform(el, box);
+            if (transform) return `<g${attrs({ transform })}>\n        ${parts.join('\n        ')}\n    </g>`;
+            return parts.join('\n    ');
+        }
+
+        case 'group': {
+            // Children are in the group's coordinates, so the group just moves them (Y flips)
+            const children = el.children
+                .map(child => renderElement(renderer, child))
+                .filter(Boolean)
+                .map(markup => markup.replace(/\n/g, '\n    ')); // Nested groups indent one more level
+            return `<g${attrs({ transform: `translate(${n(el.x)} ${n(-el.y)})` })}>\n        ${children.join('\n        ')}\n    </g>`;
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Exports every element into one SVG document string.
+ * Options: { padding, background }.
+ */
+export function exportSVG(renderer, options = {}) {
+    const { padding, background } = { ...DEFAULT_OPTIONS, ...options };
+    const content = renderer.getContentBounds() || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    const minX = content.minX - padding;
+    const maxY = content.maxY + padding;
+    const width = content.maxX - content.minX + padding * 2;
+    const height = content.maxY - content.minY + padding * 2;
+
+    const body = [];
+    if (background) {
+        body.push(`<rect${attrs({ x: n(minX), y: n(-maxY), width: n(width), height: n(height), fill: background })}/>`);
+    }
+    renderer.elements.forEach(el => {
+        const markup = renderElement(renderer, el);
+        if (markup === null) {
+            console.warn(`SVG export: skipping element ${el.id} of unsupported type "${el.type}".`);
+            return;
+        }
+        if (markup) body.push(markup);
+    });
+
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg"${attrs({ width: n(width), height: n(height), viewBox: `${n(minX)} ${n(-maxY)} ${n(width)} ${n(height)}` })}>`,
+        ...body.map(line => `    ${line}`),
+        '</svg>',
+        ''
+    ].join('\n');
+}
@@ -0,0 +1,590 @@
+// svgImport.js
+// Converts SVG markup into board elements. Shapes (<path>, <line>, <polyline>, <polygon>, <rect>,
+// <circle>, <ellipse>) are turned into path data, every path command into cubic segments, and each
+// segment into a bezier element. Filled, unrotated, square-cornered rects
+// become rect elements instead. The root viewBox and transforms are applied, and Y is flipped
+// into Cartesian space.
+import { getCubicBounds } from './utils/bezierUtils.js';
+import { createAddElementCommand } from './history.js';
+
+// --- Affine Matrices ---
+// [a, b, c, d, e, f] maps (x, y) to (a x + c y + e, b x + d y + f), as in SVG's matrix()
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+function applyMatrix(m, pt) {
+    return { x: m[0] * pt.x + m[2] * pt.y + m[4], y: m[1] * pt.x + m[3] * pt.y + m[5] };
+}
+
+/** Parses a transform attribute ("translate(10 20) rotate(45)" etc.) into one matrix */
+export function parseTransform(text) {
+    let matrix = IDENTITY;
+    if (!text) return matrix;
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const v = parseNumberList(match[2]);
+        let m;
+        switch (match[1]) {
+            case 'matrix':
+                m = v.length === 6 ? v : IDENTITY;
+                break;
+            case 'translate':
+                m = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+                break;
+            case 'scale':
+                m = [v[0] ?? 1, 0, 0, v[1] ?? v[0] ?? 1, 0, 0];
+                break;
+            case 'rotate': {
+                const a = (v[0] || 0) * Math.PI / 180;
+                const cos = Math.cos(a);
+                const sin = Math.sin(a);
+                m = [cos, sin, -sin, cos, 0, 0];
+                if (v.length >= 3) {
+                    // rotate(a, cx, cy) rotates around (cx, cy)
+                    m = multiply(multiply([1, 0, 0, 1, v[1], v[2]], m), [1, 0, 0, 1, -v[1], -v[2]]);
+                }
+                break;
+            }
+            case 'skewX':
+                m = [1, 0, Math.tan((v[0] || 0) * Math.PI / 180), 1, 0, 0];
+                break;
+            case 'skewY':
+                m = [1, Math.tan((v[0] || 0) * Math.PI / 180), 0, 1, 0, 0];
+                break;
+        }
+        matrix = multiply(matrix, m);
+    }
+    return matrix;
+}
+
+function parseNumberList(text) {
+    return (text.match(/[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || []).map(Number);
+}
+
+// --- Path Data ---
+
+/** Reads numbers, flags and command letters from a path's d attribute */
+function createPathScanner(d) {
+    const numberPattern = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+    let i = 0;
+    const skipSeparators = () => {
+        while (i < d.length && /[\s,]/.test(d[i])) i++;
+    };
+    return {
+        done() {
+            skipSeparators();
+            return i >= d.length;
+        },
+        readCommand() {
+            skipSeparators();
+            if (i < d.length && /[MmLlHhVvCcSsQqTtAaZz]/.test(d[i])) return d[i++];
+            return null;
+        },
+        hasNumber() {
+            skipSeparators();
+            return i < d.length && /[-+.\d]/.test(d[i]);
+        },
+        readNumber() {
+            skipSeparators();
+            numberPattern.lastIndex = i;
+            const match = numberPattern.exec(d);
+            if (!match) throw new Error(`expected a number at position ${i}`);
+            i = numberPattern.lastIndex;
+            return Number(match[0]);
+        },
+        // Arc flags are a single 0/1 and may be written without separators ("a1 1 0 00 1 1")
+        readFlag() {
+            skipSeparators();
+            if (d[i] !== '0' && d[i] !== '1') throw new Error(`expected an arc flag at position ${i}`);
+            return d[i++] === '1';
+        }
+    };
+}
+
+/** A straight line as a cubic (control points on the line, at thirds) */
+function lineSegment(p0, p3) {
+    return [
+        p0,
+        { x: p0.x + (p3.x - p0.x) / 3, y: p0.y + (p3.y - p0.y) / 3 },
+        { x: p0.x + (p3.x - p0.x) * 2 / 3, y: p0.y + (p3.y - p0.y) * 2 / 3 },
+        p3
+    ];
+}
+
+/** A quadratic segment raised to the equivalent cubic */
+function quadraticSegment(p0, q, p3) {
+    return [
+        p0,
+        { x: p0.x + (q.x - p0.x) * 2 / 3, y: p0.y + (q.y - p0.y) * 2 / 3 },
+        { x: p3.x + (q.x - p3.x) * 2 / 3, y: p3.y + (q.y - p3.y) * 2 / 3 },
+        p3
+    ];
+}
+
+/** Signed angle between two vectors */
+function vectorAngle(ux, uy, vx, vy) {
+    return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+}
+
+/**
+ * Converts an elliptical arc (endpoint parameterisation, as in the A command) into cubic
+ * segments of at most 90 degrees each. Follows the SVG spec's endpoint-to-centre conversion,
+ * including scaling up radii that are too small to reach the end point.
+ */
+function arcSegments(p0, rx, ry, rotationDeg, largeArc, sweep, p3) {
+    if (p0.x === p3.x && p0.y === p3.y) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [lineSegment(p0, p3)];
+
+    const phi = rotationDeg * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (p0.x - p3.x) / 2;
+    const dy = (p0.y - p3.y) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coef = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, num / den));
+    const cxp = coef * (rx * y1p) / ry;
+    const cyp = coef * -(ry * x1p) / rx;
+    const cx = cos * cxp - sin * cyp + (p0.x + p3.x) / 2;
+    const cy = sin * cxp + cos * cyp + (p0.y + p3.y) / 2;
+
+    const startAngle = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let sweepAngle = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && sweepAngle > 0) sweepAngle -= 2 * Math.PI;
+    if (sweep && sweepAngle < 0) sweepAngle += 2 * Math.PI;
+
+    const count = Math.max(1, Math.ceil(Math.abs(sweepAngle) / (Math.PI / 2) - 1e-9));
+    const delta = sweepAngle / count;
+    const k = (4 / 3) * Math.tan(delta / 4); // Control arm length for a unit circle arc
+    // Unit circle -> ellipse in path space
+    const map = (ux, uy) => ({
+        x: cx + rx * ux * cos - ry * uy * sin,
+        y: cy + rx * ux * sin + ry * uy * cos
+    });
+
+    const segments = [];
+    for (let i = 0; i < count; i++) {
+        const a1 = startAngle + i * delta;
+        const a2 = a1 + delta;
+        const c1 = Math.cos(a1), s1 = Math.sin(a1);
+        const c2 = Math.cos(a2), s2 = Math.sin(a2);
+        segments.push([
+            i === 0 ? p0 : map(c1, s1),
+            map(c1 - k * s1, s1 + k * c1),
+            map(c2 + k * s2, s2 - k * c2),
+            i === count - 1 ? p3 : map(c2, s2) // Land exactly on the end point
+        ]);
+    }
+    return segments;
+}
+
+/**
+ * Parses SVG path data into cubic segments ([P0, P1, P2, P3] in path space).
+ * Handles every command, absolute and relative. Like browsers, it keeps the segments parsed
+ * before a syntax error and drops the rest.
+ */
+export function parsePathData(d) {
+    const scanner = createPathScanner(d || '');
+    const segments = [];
+    let current = { x: 0, y: 0 };
+    let subpathStart = { x: 0, y: 0 };
+    let lastCubicControl = null; // For S: second control point of the previous C/S
+    let lastQuadControl = null; // For T: control point of the previous Q/T
+    let command = null;
+
+    try {
+        while (!scanner.done()) {
+            const letter = scanner.readCommand();
+            if (letter) {
+                command = letter;
+            } else if (!command || !scanner.hasNumber() || /[Zz]/.test(command)) {
+                throw new Error('expected a command');
+            }
+            // (Otherwise the previous command repeats with a new set of parameters)
+            const relative = command === command.toLowerCase();
+            const point = (x, y) => relative ? { x: current.x + x, y: current.y + y } : { x, y };
+            let cubicControl = null;
+            let quadControl = null;
+
+            switch (command.toUpperCase()) {
+                case 'M': {
+                    current = point(scanner.readNumber(), scanner.readNumber());
+                    subpathStart = current;
+                    // Further coordinate pairs after a moveto are implicit lineto commands
+                    command = relative ? 'l' : 'L';
+                    break;
+                }
+                case 'L': {
+                    const end = point(scanner.readNumber(), scanner.readNumber());
+                    segments.push(lineSegment(current, end));
+                    current = end;
+                    break;
+                }
+                case 'H': {
+                    const x = scanner.readNumber();
+                    const end = { x: relative ? current.x + x : x, y: current.y };
+                    segments.push(lineSegment(current, end));
+                    current = end;
+                    break;
+                }
+                case 'V': {
+                    const y = scanner.readNumber();
+                    const end = { x: current.x, y: relative ? current.y + y : y };
+                    segments.push(lineSegment(current, end));
+                    current = end;
+                    break;
+                }
+                case 'C': {
+                    const c1 = point(scanner.readNumber(), scanner.readNumber());
+                    const c2 = point(scanner.readNumber(), scanner.readNumber());
+                    const end = point(scanner.readNumber(), scanner.readNumber());
+                    segments.push([current, c1, c2, end]);
+                    cubicControl = c2;
+                    current = end;
+                    break;
+                }
+                case 'S': {
+                    // First control point is the previous one reflected through the current point
+                    const c1 = lastCubicControl
+                        ? { x: 2 * current.x - lastCubicControl.x, y: 2 * current.y - lastCubicControl.y }
+                        : current;
+                    const c2 = point(scanner.readNumber(), scanner.readNumber());
+                    const end = point(scanner.readNumber(), scanner.readNumber());
+                    segments.push([current, c1, c2, end]);
+                    cubicControl = c2;
+                    current = end;
+                    break;
+                }
+                case 'Q': {
+                    const q = point(scanner.readNumber(), scanner.readNumber());
+                    const end = point(scanner.readNumber(), scanner.readNumber());
+                    segments.push(quadraticSegment(current, q, end));
+                    quadControl = q;
+                    current = end;
+                    break;
+                }
+                case 'T': {
+                    const q = lastQuadControl
+                        ? { x: 2 * current.x - lastQuadControl.x, y: 2 * current.y - lastQuadControl.y }
+                        : current;
+                    const end = point(scanner.readNumber(), scanner.readNumber());
+                    segments.push(quadraticSegment(current, q, end));
+                    quadControl = q;
+                    current = end;
+                    break;
+                }
+                case 'A': {
+                    const rx = scanner.readNumber();
+                    const ry = scanner.readNumber();
+                    const rotation = scanner.readNumber();
+                    const largeArc = scanner.readFlag();
+                    const sweep = scanner.readFlag();
+                    const end = point(scanner.readNumber(), scanner.readNumber());
+                    segments.push(...arcSegments(current, rx, ry, rotation, largeArc, sweep, end));
+                    current = end;
+                    break;
+                }
+                case 'Z': {
+                    if (current.x !== subpathStart.x || current.y !== subpathStart.y) {
+                        segments.push(lineSegment(current, subpathStart));
+                    }
+                    current = subpathStart;
+                    break;
+                }
+            }
+            lastCubicControl = cubicControl;
+            lastQuadControl = quadControl;
+        }
+    } catch (e) {
+        console.warn(`SVG import: path data error (${e.message}); keeping the segments before it.`);
+    }
+    return segments;
+}
+
+// --- Shapes ---
+
+function num(el, name, fallback = 0) {
+    const value = parseFloat(el.getAttribute(name));
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/** Path data for a rect, with rounded corners drawn as arcs */
+function rectPathData(x, y, width, height, rx, ry) {
+    if (!rx && !ry) return `M ${x} ${y} H ${x + width} V ${y + height} H ${x} Z`;
+    // A missing radius takes the other one; both are limited to half the side
+    rx = Math.min(rx || ry, width / 2);
+    ry = Math.min(ry || rx, height / 2);
+    return `M ${x + rx} ${y} H ${x + width - rx} A ${rx} ${ry} 0 0 1 ${x + width} ${y + ry} ` +
+        `V ${y + height - ry} A ${rx} ${ry} 0 0 1 ${x + width - rx} ${y + height} ` +
+        `H ${x + rx} A ${rx} ${ry} 0 0 1 ${x} ${y + height - ry} ` +
+        `V ${y + ry} A ${rx} ${ry} 0 0 1 ${x + rx} ${y} Z`;
+}
+
+/** Path data for an ellipse, as two half arcs */
+function ellipsePathData(cx, cy, rx, ry) {
+    return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 0 ${cx - rx} ${cy} Z`;
+}
+
+/** Returns the path data for a supported shape element, or null */
+function getShapePathData(el) {
+    switch (el.tagName.toLowerCase()) {
+        case 'path':
+            return el.getAttribute('d');
+        case 'line':
+            return `M ${num(el, 'x1')} ${num(el, 'y1')} L ${num(el, 'x2')} ${num(el, 'y2')}`;
+        case 'polyline':
+        case 'polygon': {
+            const values = parseNumberList(el.getAttribute('points') || '');
+            if (values.length < 4) return null;
+            const pairs = [];
+            for (let i = 0; i + 1 < values.length; i += 2) pairs.push(`${values[i]} ${values[i + 1]}`);
+            return `M ${pairs.join(' L ')}${el.tagName.toLowerCase() === 'polygon' ? ' Z' : ''}`;
+        }
+        case 'rect': {
+            const width = num(el, 'width');
+            const height = num(el, 'height');
+            if (width <= 0 || height <= 0) return null;
+            return rectPathData(num(el, 'x'), num(el, 'y'), width, height, num(el, 'rx'), num(el, 'ry'));
+        }
+        case 'circle': {
+            const r = num(el, 'r');
+            return r > 0 ? ellipsePathData(num(el, 'cx'), num(el, 'cy'), r, r) : null;
+        }
+        case 'ellipse': {
+            const rx = num(el, 'rx');
+            const ry = num(el, 'ry');
+            return rx > 0 && ry > 0 ? ellipsePathData(num(el, 'cx'), num(el, 'cy'), rx, ry) : null;
+        }
+        default:
+            return null;
+    }
+}
+
+// --- Styles ---
+
+const INHERITED_STYLES = ['fill', 'stroke', 'stroke-width', 'color', 'visibility'];
+
+/** Reads an element's presentation attributes and style declarations (style wins) */
+function readOwnStyles(el) {
+    const styles = {};
+    INHERITED_STYLES.concat('display').forEach(name => {
+        const value = el.getAttribute(name);
+        if (value !== null) styles[name] = value.trim();
+    });
+    (el.getAttribute('style') || '').split(';').forEach(declaration => {
+        const [name, ...rest] = declaration.split(':');
+        if (name && rest.length) styles[name.trim()] = rest.join(':').trim();
+    });
+    return styles;
+}
+
+/** Resolves a paint value to a colour, or null for no paint */
+function resolvePaint(value, styles, fallbackColor) {
+    if (!value || value === 'none' || value === 'transparent') return null;
+    if (value === 'currentColor') return styles.color || 'black';
+    if (value.startsWith('url(')) return fallbackColor; // Gradients/patterns: fall back to a flat colour
+    return value;
+}
+
+// Containers whose children are rendered; everything else (defs, clipPath, symbol, ...) is skipped
+const CONTAINERS = ['svg', 'g', 'a', 'switch'];
+
+/**
+ * Walks the SVG tree and returns the shapes to create, in Cartesian space:
+ *   { kind: 'curves', segments, color, lineWidth } or { kind: 'rect', x, y, width, height, color }
+ */
+function collectShapes(root, rootMatrix, defaultColor) {
+    const shapes = [];
+
+    const visit = (el, parentMatrix, parentStyles) => {
+        const tag = el.tagName.toLowerCase();
+        const own = readOwnStyles(el);
+        if (own.display === 'none') return;
+        const styles = { ...parentStyles, ...own };
+        const matrix = multiply(parentMatrix, parseTransform(el.getAttribute('transform')));
+
+        if (CONTAINERS.includes(tag)) {
+            Array.from(el.children).forEach(child => visit(child, matrix, styles));
+            return;
+        }
+        if (styles.visibility === 'hidden') return;
+
+        const d = getShapePathData(el);
+        if (d === null) {
+            if (tag !== 'defs' && tag !== 'title' && tag !== 'desc' && tag !== 'metadata' && tag !== 'style') {
+                console.warn(`SVG import: skipping unsupported <${tag}> element.`);
+            }
+            return;
+        }
+
+        const fill = resolvePaint(styles.fill === undefined ? 'black' : styles.fill, styles, defaultColor);
+        const stroke = resolvePaint(styles.stroke, styles, defaultColor);
+        const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+
+        // A filled, unstroked, axis-aligned, square-cornered rect maps directly to a rect element
+        const axisAligned = matrix[1] === 0 && matrix[2] === 0;
+        if (tag === 'rect' && fill && !stroke && axisAligned && !num(el, 'rx') && !num(el, 'ry')) {
+            const centre = applyMatrix(matrix, {
+                x: num(el, 'x') + num(el, 'width') / 2,
+                y: num(el, 'y') + num(el, 'height') / 2
+            });
+            shapes.push({
+                kind: 'rect',
+                x: centre.x,
+                y: -centre.y, // Flip into Cartesian space
+                width: Math.abs(num(el, 'width') * matrix[0]),
+                height: Math.abs(num(el, 'height') * matrix[3]),
+                color: fill
+            });
+            return;
+        }
+
+        // Curves are stroked only: use the stroke, or outline the fill if there is no stroke
+        const color = stroke || fill;
+        if (!color) return; // Invisible
+        const strokeWidth = stroke ? parseFloat(styles['stroke-width'] ?? '1') : 1;
+        const lineWidth = Math.max((Number.isFinite(strokeWidth) ? strokeWidth : 1) * (stroke ? scale : 1), 0.1);
+        const segments = parsePathData(d).map(segment =>
+            segment.map(pt => {
+                const mapped = applyMatrix(matrix, pt);
+                return { x: mapped.x, y: -mapped.y }; // Flip into Cartesian space
+            })
+        );
+        if (segments.length) shapes.push({ kind: 'curves', segments, color, lineWidth });
+    };
+
+    visit(root, rootMatrix, {});
+    return shapes;
+}
+
+/**
+ * Returns the matrix mapping the root <svg>'s viewBox onto its width and height the way a browser
+ * draws it (preserveAspectRatio included), or the identity if it has no usable viewBox.
+ * A missing or percentage size is taken from the viewBox (and the other size's aspect ratio).
+ */
+function getViewBoxMatrix(root) {
+    const viewBox = parseNumberList(root.getAttribute('viewBox') || '');
+    if (viewBox.length !== 4 || viewBox[2] <= 0 || viewBox[3] <= 0) return IDENTITY;
+    const [minX, minY, boxWidth, boxHeight] = viewBox;
+    const size = name => {
+        const value = root.getAttribute(name);
+        return value && !value.trim().endsWith('%') && parseFloat(value) > 0 ? parseFloat(value) : null;
+    };
+    const width = size('width') ?? (size('height') ? size('height') * boxWidth / boxHeight : boxWidth);
+    const height = size('height') ?? width * boxHeight / boxWidth;
+
+    let scaleX = width / boxWidth;
+    let scaleY = height / boxHeight;
+    let offsetX = 0, offsetY = 0;
+    const [align = 'xMidYMid', meetOrSlice = 'meet'] = (root.getAttribute('preserveAspectRatio') || '').trim().split(/\s+/).filter(Boolean);
+    if (align !== 'none') {
+        // Uniform scale, with the viewBox lined up in the viewport as `align` says (e.g. xMidYMid)
+        const scale = meetOrSlice === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+        const fractions = { Min: 0, Mid: 0.5, Max: 1 };
+        offsetX = (width - boxWidth * scale) * (fractions[align.slice(1, 4)] ?? 0.5);
+        offsetY = (height - boxHeight * scale) * (fractions[align.slice(5, 8)] ?? 0.5);
+        scaleX = scaleY = scale;
+    }
+    return [scaleX, 0, 0, scaleY, offsetX - minX * scaleX, offsetY - minY * scaleY];
+}
+
+/** Returns the combined bounds of the shapes (exact curve extents, stroke not included) */
+function getShapesBounds(shapes) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const include = (x, y) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    };
+    shapes.forEach(shape => {
+        if (shape.kind === 'rect') {
+            include(shape.x - shape.width / 2, shape.y - shape.height / 2);
+            include(shape.x + shape.width / 2, shape.y + shape.height / 2);
+        } else {
+            shape.segments.forEach(segment => {
+                const b = getCubicBounds(segment);
+                include(b.minX, b.minY);
+                include(b.maxX, b.maxY);
+            });
+        }
+    });
+    return minX === Infinity ? null : { minX, minY, maxX, maxY };
+}
+
+/**
+ * Imports SVG markup onto the board as a single undo step. Returns the created elements
+ * (empty if the markup couldn't be parsed).
+ * Options:
+ *   scale  multiplies SVG user units (default 1)
+ *   at     { x, y } Cartesian point to centre the imported content on (default: keep SVG coordinates)
+ */
+export function importSVG(renderer, svgText, options = {}) {
+    if (typeof DOMParser === 'undefined') {
+        console.error("SVG import needs DOMParser, which isn't available in this environment.");
+        return [];
+    }
+    const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (!root || root.tagName.toLowerCase() !== 'svg' || doc.getElementsByTagName('parsererror').length) {
+        console.error("SVG import: the markup is not a valid SVG document.");
+        return [];
+    }
+
+    const scale = options.scale || 1;
+    const rootMatrix = multiply([scale, 0, 0, scale, 0, 0], getViewBoxMatrix(root));
+    const shapes = collectShapes(root, rootMatrix, renderer.bezierCurveStyle.color);
+
+    // Optionally move the whole import so its centre lands on `at`
+    let dx = 0, dy = 0;
+    const bounds = getShapesBounds(shapes);
+    if (options.at && bounds) {
+        dx = options.at.x - (bounds.minX + bounds.maxX) / 2;
+        dy = options.at.y - (bounds.minY + bounds.maxY) / 2;
+    }
+
+    // Plain add commands: going through addBezierCurve would record pen path steps
+    const created = [];
+    const add = (type, props) => {
+        const element = renderer.createElement(type, props);
+        if (!element) return;
+        renderer.history.record(createAddElementCommand(renderer, element, renderer.elements.length - 1, 'Import SVG'));
+        created.push(element);
+    };
+    renderer.history.transaction('Import SVG', () => {
+        shapes.forEach(shape => {
+            if (shape.kind === 'rect') {
+                add('rect', { x: shape.x + dx, y: shape.y + dy, width: shape.width, height: shape.height, color: shape.color });
+                return;
+            }
+            shape.segments.forEach(segment => {
+                add('bezier', { points: segment.map(pt => ({ x: pt.x + dx, y: pt.y + dy })), color: shape.color, lineWidth: shape.lineWidth });
+            });
+        });
+    });
+    console.log(`Imported ${created.length} elements from SVG`);
+    return created;
+}
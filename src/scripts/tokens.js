@@ -0,0 +1,276 @@
+// tokens.js
+import { layoutText } from './utils/textUtils.js';
+import { captureElementState, createElementStateCommand } from './history.js';
+import { collectElements } from './utils/groupUtils.js';
+
+/**
+ * Token types: what a value must look like and the prefix of its CSS custom property.
+ * Spacing values are Cartesian units (= CSS pixels).
+ */
+const TOKEN_TYPES = {
+    color: { cssPrefix: 'color', isValid: value => typeof value === 'string' && value.trim() !== '' },
+    font: { cssPrefix: 'font', isValid: value => typeof value === 'string' && value.trim() !== '' },
+    spacing: { cssPrefix: 'space', isValid: value => typeof value === 'number' && Number.isFinite(value) && value >= 0 }
+};
+
+const TOKEN_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/**
+ * Registry of design tokens: named colors, font stacks and spacing steps. An element references a
+ * token through `element.tokens` ({ property: tokenName }, e.g. { color: 'primary' }); the property
+ * itself always holds the resolved value, so drawing, hit testing and exports need no lookups.
+ * Editing a token writes the new value into every element bound to it.
+ *
+ * Every change is an undo step. Emits 'tokensChanged' { name, token } on the renderer, where
+ * `token` is { type, value }, or null when the token was removed.
+ */
+export class TokenRegistry {
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.tokens = new Map(); // name -> { type, value }
+    }
+
+    /** Returns a token ({ type, value }) or undefined */
+    get(name) {
+        return this.tokens.get(name);
+    }
+
+    /** Returns every token as [{ name, type, value }], in definition order */
+    list() {
+        return [...this.tokens].map(([name, token]) => ({ name, ...token }));
+    }
+
+    /**
+     * Adds a token, or replaces an existing one (type included). `type` is 'color', 'font' or
+     * 'spacing'. Returns false if the name, type or value is invalid.
+     */
+    define(name, type, value) {
+        if (!TOKEN_NAME_PATTERN.test(String(name))) {
+            console.error(`Invalid token name "${name}" (use letters, digits, "-" and "_", starting with a letter).`);
+            return false;
+        }
+        if (!TOKEN_TYPES[type]) {
+            console.error(`Unknown token type "${type}" (expected ${Object.keys(TOKEN_TYPES).join(', ')}).`);
+            return false;
+        }
+        if (!TOKEN_TYPES[type].isValid(value)) {
+            console.error(`Invalid value for ${type} token "${name}":`, value);
+            return false;
+        }
+        const before = this.tokens.get(name) || null;
+        const after = { type, value };
+        this.put(name, after);
+        this.renderer.history.record(this.createTokenCommand(name, before, after, before ? `Edit token ${name}` : `Add token ${name}`));
+        return true;
+    }
+
+    /** Changes a token's value, keeping its type. Returns false if the token doesn't exist or the value is invalid */
+    set(name, value) {
+        const token = this.tokens.get(name);
+        if (!token) {
+            console.error(`Cannot set unknown token "${name}".`);
+            return false;
+        }
+        if (token.value === value) return true;
+        return this.define(name, token.type, value);
+    }
+
+    /**
+     * Deletes a token. Bound elements (and the pen style) keep its current value but lose the reference.
+     * Returns false if the token doesn't exist.
+     */
+    remove(name) {
+        const before = this.tokens.get(name);
+        if (!before) return false;
+        this.renderer.history.transaction(`Delete token ${name}`, () => {
+            this.getBoundElements(name).forEach(element => {
+                Object.entries(element.tokens)
+                    .filter(([, tokenName]) => tokenName === name)
+                    .forEach(([property]) => this.unbind(element, property));
+            });
+            this.put(name, null);
+            this.renderer.history.record(this.createTokenCommand(name, before, null, `Delete token ${name}`));
+        });
+        Object.entries(this.renderer.bezierCurveStyle.tokens || {})
+            .filter(([, tokenName]) => tokenName === name)
+            .forEach(([property]) => this.bindPenStyle(property, null));
+        return true;
+    }
+
+    /**
+     * Makes an element property follow a token, applying the token's value now.
+     * Returns false if the token doesn't exist or its value doesn't fit the property.
+     */
+    bind(element, property, name) {
+        const token = this.tokens.get(name);
+        if (!token) {
+            console.error(`Cannot bind ${property} of element ${element.id}: unknown token "${name}".`);
+            return false;
+        }
+        const current = element[property];
+        const expected = token.type === 'spacing' ? 'number' : 'string';
+        if (current !== undefined && current !== null && typeof current !== expected) {
+            console.error(`Cannot bind ${property} of element ${element.id} to ${token.type} token "${name}".`);
+            return false;
+        }
+        this.updateBinding(element, property, name, `Use token ${name}`);
+        return true;
+    }
+
+    /** Stops an element property following its token; the property keeps its current value */
+    unbind(element, property) {
+        if (!element.tokens || !(property in element.tokens)) return false;
+        this.updateBinding(element, property, null, 'Detach token');
+        return true;
+    }
+
+    /**
+     * Makes a property of the pen tool's style (renderer.bezierCurveStyle) follow a token, or stops
+     * it following one (name null). Curves drawn afterwards reference the token too.
+     * A tool setting, so not an undo step.
+     */
+    bindPenStyle(property, name) {
+        const style = this.renderer.bezierCurveStyle;
+        const references = { ...style.tokens };
+        if (name) {
+            const token = this.tokens.get(name);
+            if (!token) {
+                console.error(`Cannot bind pen ${property}: unknown token "${name}".`);
+                return false;
+            }
+            references[property] = name;
+            style[property] = token.value;
+        } else {
+            delete references[property];
+        }
+        style.tokens = Object.keys(references).length > 0 ? references : undefined;
+        this.renderer.markOverlayDirty(); // The pen preview uses this style
+        return true;
+    }
+
+    /** Returns the elements that reference a token */
+    getBoundElements(name) {
+        return collectElements(this.renderer.elements).filter(el => el.tokens && Object.values(el.tokens).includes(name));
+    }
+
+    /**
+     * Sets an element's token references (e.g. from creation props or a loaded document) and
+     * resolves them. References to unknown tokens are kept, so they resolve once the token is defined.
+     * Doesn't mark anything dirty or record history: use on elements being created.
+     */
+    attach(element, references) {
+        if (!references || typeof references !== 'object') return;
+        element.tokens = { ...references };
+        Object.entries(element.tokens).forEach(([property, name]) => {
+            const token = this.tokens.get(name);
+            if (token) element[property] = token.value;
+        });
+        if (element.type === 'text') layoutText(this.renderer.ctx, element);
+    }
+
+    /** Returns the CSS custom property name for a token, e.g. '--color-primary' */
+    cssVariable(name) {
+        const token = this.tokens.get(name);
+        return token ? `--${TOKEN_TYPES[token.type].cssPrefix}-${name}` : null;
+    }
+
+    /** Returns `var(--…)` for an element property that follows a token, or null if it doesn't */
+    cssReference(element, property) {
+        const name = element.tokens && element.tokens[property];
+        const variable = name ? this.cssVariable(name) : null;
+        return variable ? `var(${variable})` : null;
+    }
+
+    /** Returns the tokens as CSS custom property declarations ({ '--color-primary': '#3366ff', … }) */
+    getCSSDeclarations() {
+        const declarations = {};
+        this.tokens.forEach((token, name) => {
+            declarations[this.cssVariable(name)] = token.type === 'spacing' ? `${token.value}px` : token.value;
+        });
+        return declarations;
+    }
+
+    /** Returns a stylesheet declaring every token as a CSS custom property on `selector` */
+    toCSS(selector = ':root') {
+        const lines = Object.entries(this.getCSSDeclarations()).map(([variable, value]) => `    ${variable}: ${value};`);
+        return `${selector} {\n${lines.join('\n')}\n}\n`;
+    }
+
+    /** Returns the tokens as plain JSON ({ name: { type, value } }) for saving */
+    toJSON() {
+        return Object.fromEntries([...this.tokens].map(([name, token]) => [name, { ...token }]));
+    }
+
+    /** Replaces every token with saved ones (from toJSON), without touching elements or history */
+    load(data) {
+        this.tokens.clear();
+        Object.entries(data || {}).forEach(([name, token]) => {
+            if (!token || !TOKEN_TYPES[token.type] || !TOKEN_TYPES[token.type].isValid(token.value)) {
+                console.warn(`Skipping invalid saved token "${name}".`);
+                return;
+            }
+            this.tokens.set(name, { type: token.type, value: token.value });
+        });
+    }
+
+    // --- Internals ---
+
+    /** Stores (or with null, deletes) a token and pushes its value into every bound element */
+    put(name, token) {
+        if (token) {
+            this.tokens.set(name, { ...token });
+            this.getBoundElements(name).forEach(element => this.applyToken(element, name, token.value));
+            const penStyle = this.renderer.bezierCurveStyle;
+            Object.entries(penStyle.tokens || {})
+                .filter(([, tokenName]) => tokenName === name)
+                .forEach(([property]) => {
+                    penStyle[property] = token.value;
+                });
+        } else {
+            this.tokens.delete(name);
+        }
+        this.renderer.emit('tokensChanged', { name, token: token ? { ...token } : null });
+    }
+
+    /** Writes a token value into the element properties bound to it and refreshes what depends on them */
+    applyToken(element, name, value) {
+        const renderer = this.renderer;
+        renderer.markDirty(element); // Old area
+        Object.entries(element.tokens)
+            .filter(([, tokenName]) => tokenName === name)
+            .forEach(([property]) => {
+                element[property] = value;
+            });
+        if (element.type === 'text') {
+            // Font and padding changes move line breaks and the measured box
+            layoutText(renderer.ctx, element);
+        }
+        renderer.reindexElement(element);
+        renderer.markDirty(element); // New area
+        renderer.markOverlayDirty(); // Selection chrome may have resized
+    }
+
+    /** Adds, changes or (with a null name) removes one reference, as an undo step */
+    updateBinding(element, property, name, label) {
+        const renderer = this.renderer;
+        const keys = ['tokens', property, ...(element.type === 'text' ? ['lines'] : [])];
+        const before = captureElementState(element, keys);
+        const references = { ...element.tokens };
+        if (name) references[property] = name;
+        else delete references[property];
+        renderer.markDirty(element);
+        element.tokens = Object.keys(references).length > 0 ? references : undefined;
+        if (name) this.applyToken(element, name, this.tokens.get(name).value);
+        else renderer.reindexElement(element);
+        renderer.history.record(createElementStateCommand(renderer, element, before, captureElementState(element, keys), label));
+    }
+
+    /** Command that switches a token between two definitions (null = not defined) */
+    createTokenCommand(name, before, after, label) {
+        return {
+            label,
+            undo: () => this.put(name, before),
+            redo: () => this.put(name, after)
+        };
+    }
+}
@@ -0,0 +1,122 @@
+// utils/bezierUtils.js
+// Geometry helpers for cubic Bezier segments given as [P0, P1, P2, P3] ({x, y} points).
+
+const DISTANCE_SAMPLES = 32; // Coarse samples before refining the closest point
+const DISTANCE_REFINE_STEPS = 12;
+
+/** Evaluates one coordinate of a cubic Bezier at parameter t */
+function cubicAt(a, b, c, d, t) {
+    const mt = 1 - t;
+    return mt * mt * mt * a + 3 * mt * mt * t * b + 3 * mt * t * t * c + t * t * t * d;
+}
+
+/** Returns the point on the curve at parameter t (0..1) */
+export function getCubicPoint(points, t) {
+    const [p0, p1, p2, p3] = points;
+    return {
+        x: cubicAt(p0.x, p1.x, p2.x, p3.x, t),
+        y: cubicAt(p0.y, p1.y, p2.y, p3.y, t)
+    };
+}
+
+/**
+ * Returns the parameters in (0, 1) where one coordinate of the curve has a local extremum,
+ * i.e. the roots of the derivative (a quadratic in t).
+ */
+function getExtremaParams(a, b, c, d) {
+    // B'(t) / 3 = (d0 - 2 d1 + d2) t^2 + 2 (d1 - d0) t + d0, with d0..d2 the control deltas
+    const d0 = b - a;
+    const d1 = c - b;
+    const d2 = d - c;
+    const qa = d0 - 2 * d1 + d2;
+    const qb = 2 * (d1 - d0);
+    const qc = d0;
+    const roots = [];
+
+    if (Math.abs(qa) < 1e-12) {
+        // Derivative is linear
+        if (Math.abs(qb) > 1e-12) roots.push(-qc / qb);
+    } else {
+        const discriminant = qb * qb - 4 * qa * qc;
+        if (discriminant >= 0) {
+            const sqrtD = Math.sqrt(discriminant);
+            roots.push((-qb + sqrtD) / (2 * qa), (-qb - sqrtD) / (2 * qa));
+        }
+    }
+    return roots.filter(t => t > 0 && t < 1);
+}
+
+/**
+ * Computes the exact axis-aligned bounds of a cubic Bezier from its end points and the
+ * curve's extrema (control points alone would overestimate them).
+ * Returns { minX, minY, maxX, maxY }.
+ */
+export function getCubicBounds(points) {
+    const [p0, p1, p2, p3] = points;
+    const params = [
+        0, 1,
+        ...getExtremaParams(p0.x, p1.x, p2.x, p3.x),
+        ...getExtremaParams(p0.y, p1.y, p2.y, p3.y)
+    ];
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    params.forEach(t => {
+        const pt = getCubicPoint(points, t);
+        minX = Math.min(minX, pt.x);
+        minY = Math.min(minY, pt.y);
+        maxX = Math.max(maxX, pt.x);
+        maxY = Math.max(maxY, pt.y);
+    });
+    return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Returns the shortest distance from (x, y) to the curve.
+ * Samples the curve coarsely, then narrows in on the closest sample by repeated bisection.
+ */
+export function getDistanceToCubic(points, x, y) {
+    const distSq = (t) => {
+        const pt = getCubicPoint(points, t);
+        return (pt.x - x) * (pt.x - x) + (pt.y - y) * (pt.y - y);
+    };
+
+    let bestT = 0;
+    let bestDist = distSq(0);
+    for (let i = 1; i <= DISTANCE_SAMPLES; i++) {
+        const t = i / DISTANCE_SAMPLES;
+        const d = distSq(t);
+        if (d < bestDist) {
+            bestDist = d;
+            bestT = t;
+        }
+    }
+
+    // Refine within the neighbouring sample intervals
+    let step = 1 / DISTANCE_SAMPLES;
+    for (let i = 0; i < DISTANCE_REFINE_STEPS; i++) {
+        step /= 2;
+        for (const t of [bestT - step, bestT + step]) {
+            if (t < 0 || t > 1) continue;
+            const d = distSq(t);
+            if (d < bestDist) {
+                bestDist = d;
+                bestT = t;
+            }
+        }
+    }
+    return Math.sqrt(bestDist);
+}
+
+/** Moves every point of a curve by (dx, dy), in place */
+export function translateCubic(points, dx, dy) {
+    points.forEach(pt => {
+        pt.x += dx;
+        pt.y += dy;
+    });
+}
+
+/** Formats a curve as SVG path data ("M x y C x y x y x y"), coordinates rounded to 2 decimals */
+export function getCubicPathData(points) {
+    const n = (v) => Math.round(v * 100) / 100;
+    const [p0, p1, p2, p3] = points;
+    return `M ${n(p0.x)} ${n(p0.y)} C ${n(p1.x)} ${n(p1.y)} ${n(p2.x)} ${n(p2.y)} ${n(p3.x)} ${n(p3.y)}`;
+}
@@ -1,13 +1,57 @@
 // constants.js
 export const HANDLE_SIZE = 8;
 export const MIN_RESIZE_SIZE = 10;
+export const ROTATE_HANDLE_OFFSET = 24; // Screen pixels between the top edge of a selected element and its rotate handle
+export const ROTATION_SNAP_DEGREES = 15; // Rotation step while Shift is held
+export const DOCUMENT_FORMAT = 'cartesian-drawing-board';
+export const DOCUMENT_VERSION = 1; // Bump (and add a migration in serialization.js) when the schema changes
+export const RASTER_EXPORT_MAX_SIZE = 16384; // Largest PNG export, in pixels per side
+export const AUTOSAVE_DATABASE = 'cartesian-drawing-board';
+export const AUTOSAVE_DEBOUNCE_MS = 1000; // Quiet time after a change before it is saved
+export const AUTOSAVE_INTERVAL_MS = 30000; // Periodic save while there are unsaved changes
+export const CLIPBOARD_FORMAT = 'cartesian-drawing-board/elements'; // Marks copied elements on the system clipboard
+export const PASTE_OFFSET = 20; // Cartesian distance between a pasted copy and its original (grows with repeated pastes)
+export const IMAGE_IMPORT_MAX_SIZE = 400; // Dropped/pasted images larger than this (Cartesian units per side) are scaled down to fit
+export const IMAGE_IMPORT_GAP = 20; // Space between images dropped together in a row
+export const IMAGE_IMPORT_FALLBACK_SIZE = 150; // Size for images with no intrinsic size (e.g. some SVGs)
+export const HISTORY_LIMIT = 200; // Maximum number of undo steps kept
+export const BEZIER_HIT_TOLERANCE = 5; // Screen pixels either side of a curve's stroke that still count as a hit
 export const SELECTION_LINE_WIDTH = 1;
 export const SELECTION_DASH = [3, 3];
 export const SELECTION_COLOR = 'rgba(0, 100, 255, 0.8)';
 export const HANDLE_COLOR = 'rgba(0, 100, 255, 0.9)';
+export const HOVER_COLOR = 'rgba(0, 100, 255, 0.4)';
+export const MARQUEE_FILL = 'rgba(0, 100, 255, 0.08)';
+export const MARQUEE_STROKE = 'rgba(0, 100, 255, 0.6)';
+export const SNAP_THRESHOLD = 6; // Screen pixels within which a moving edge or centre snaps to an axis or another element
+export const SNAP_SUSPEND_KEY = 'KeyS'; // KeyboardEvent.code of the key that turns snapping off while held
+export const SNAP_GUIDE_COLOR = 'rgba(255, 0, 128, 0.8)';
+export const SNAP_GUIDE_DASH = [4, 3];
+export const MARQUEE_MIN_SIZE = 3; // Screen pixels a rubber band must span before it selects anything
 export const AXIS_COLOR = "#ccc";
 export const ORIGIN_COLOR = "#aaa";
 export const PLACEHOLDER_FILL_LOADING = 'rgba(200,200,200,0.7)';
 export const PLACEHOLDER_FILL_ERROR = 'rgba(255,200,200,0.7)';
 export const PLACEHOLDER_TEXT_LOADING = 'black';
-export const PLACEHOLDER_TEXT_ERROR = 'red';
\ No newline at end of file
+export const PLACEHOLDER_TEXT_ERROR = 'red';
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 20;
+export const WHEEL_ZOOM_SENSITIVITY = 0.0015; // Zoom factor per wheel delta unit
+
+export const GRID_MINOR_COLOR = '#eeeeee';
+export const GRID_MAJOR_COLOR = '#dddddd';
+export const GRID_LABEL_COLOR = '#888';
+export const GRID_MAJOR_SPACING = 80; // Minimum screen pixels between major grid lines
+export const GRID_SUBDIVISIONS = 5; // Minor lines per major step
+export const GRID_MIN_MINOR_SPACING = 8; // Hide minor lines when closer than this (screen pixels)
+export const GRID_TICK_SIZE = 6;
+export const GRID_LABEL_FONT_SIZE = 10;
+
+export const MINIMAP_WIDTH = 200;
+export const MINIMAP_HEIGHT = 150;
+export const MINIMAP_MARGIN = 10; // Distance from the bottom-right corner of the board
+export const MINIMAP_PADDING = 8;
+export const MINIMAP_REFRESH_MS = 100; // Minimum time between minimap repaints
+export const MINIMAP_BACKGROUND = 'rgba(255, 255, 255, 0.9)';
+export const MINIMAP_VIEWPORT_FILL = 'rgba(0, 100, 255, 0.08)';
+export const MINIMAP_VIEWPORT_STROKE = 'rgba(0, 100, 255, 0.8)';
@@ -1,9 +1,20 @@
 // utils/coordinates.js
-export function toScreenCoords(cartesianX, cartesianY, originX, originY) {
-    return { x: originX + cartesianX, y: originY - cartesianY };
+// originX/originY are the screen position of the Cartesian origin (already including any pan offset),
+// zoom is the number of screen pixels per Cartesian unit.
+export function toScreenCoords(cartesianX, cartesianY, originX, originY, zoom = 1) {
+    return { x: originX + cartesianX * zoom, y: originY - cartesianY * zoom };
 }
 
-export function toCartesianCoords(screenX, screenY, originX, originY) {
-    return { x: screenX - originX, y: -(screenY - originY) };
+export function toCartesianCoords(screenX, screenY, originX, originY, zoom = 1) {
+    return { x: (screenX - originX) / zoom, y: -(screenY - originY) / zoom };
 }
 
+// Rotates a point around a centre by an angle in degrees, counterclockwise (Cartesian, Y up)
+export function rotatePoint(x, y, centerX, centerY, degrees) {
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+    const dx = x - centerX;
+    const dy = y - centerY;
+    return { x: centerX + dx * cos - dy * sin, y: centerY + dx * sin + dy * cos };
+}
@@ -0,0 +1,49 @@
+// utils/eventEmitter.js
+
+/**
+ * Minimal event emitter. Listeners are called synchronously, in the order they were added,
+ * with the payload passed to emit(). A throwing listener is logged and doesn't stop the others.
+ */
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // event name -> Set of handlers
+    }
+
+    /** Adds a listener and returns a function that removes it */
+    on(eventName, handler) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(handler);
+        return () => this.off(eventName, handler);
+    }
+
+    /** Adds a listener that removes itself after the first call */
+    once(eventName, handler) {
+        const wrapper = (payload) => {
+            this.off(eventName, wrapper);
+            handler(payload);
+        };
+        return this.on(eventName, wrapper);
+    }
+
+    /** Removes a listener */
+    off(eventName, handler) {
+        const handlers = this.listeners.get(eventName);
+        if (handlers) handlers.delete(handler);
+    }
+
+    /** Calls every listener for an event */
+    emit(eventName, payload) {
+        const handlers = this.listeners.get(eventName);
+        if (!handlers) return;
+        // Copy so listeners can unsubscribe while we iterate
+        [...handlers].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`Error in "${eventName}" listener:`, e);
+            }
+        });
+    }
+}
@@ -0,0 +1,70 @@
+// utils/groupUtils.js
+import { toScreenCoords, toCartesianCoords } from './coordinates.js';
+
+/**
+ * Group hierarchy helpers. A group element holds its children in `children`, with coordinates
+ * relative to the group's origin (its x, y); only top-level elements are in renderer.elements.
+ * Each child's group is tracked here rather than on the child, so elements stay plain data.
+ */
+
+// Child element -> the group holding it
+const parentGroups = new WeakMap();
+
+/** Returns the group holding an element, or null for a top-level element */
+export function getParentGroup(element) {
+    return parentGroups.get(element) || null;
+}
+
+/** Records (or with null, clears) the group holding an element */
+export function setParentGroup(element, group) {
+    if (group) parentGroups.set(element, group);
+    else parentGroups.delete(element);
+}
+
+/** Returns the top-level element an element belongs to (itself if it isn't in a group) */
+export function getRootElement(element) {
+    let root = element;
+    while (getParentGroup(root)) root = getParentGroup(root);
+    return root;
+}
+
+/** Returns true if an element is inside a group, directly or in a nested group */
+export function isInGroup(element, group) {
+    for (let parent = getParentGroup(element); parent; parent = getParentGroup(parent)) {
+        if (parent === group) return true;
+    }
+    return false;
+}
+
+/**
+ * Returns what to add to an element's own coordinates to get Cartesian (board) coordinates:
+ * the summed origins of the groups around it, or { x: 0, y: 0 } for a top-level element.
+ */
+export function getGroupOffset(element) {
+    const offset = { x: 0, y: 0 };
+    for (let group = getParentGroup(element); group; group = getParentGroup(group)) {
+        offset.x += group.x;
+        offset.y += group.y;
+    }
+    return offset;
+}
+
+/** Returns the given elements plus everything inside the groups among them, depth first */
+export function collectElements(elements) {
+    return elements.flatMap(el => (el.type === 'group' ? [el, ...collectElements(el.children)] : [el]));
+}
+
+/**
+ * Returns a stand-in for the renderer (or a view of it) whose Cartesian origin is moved to
+ * (dx, dy), so group children can be drawn and hit-tested in their own coordinates with the
+ * unchanged drawing functions, like renderer.createView does for other canvases.
+ */
+export function createOffsetView(renderer, dx, dy) {
+    if (!dx && !dy) return renderer;
+    const view = Object.create(renderer);
+    view.originX = renderer.originX + dx * renderer.zoom;
+    view.originY = renderer.originY - dy * renderer.zoom; // Y is up
+    view.toScreenCoords = (x, y) => toScreenCoords(x, y, view.originX, view.originY, view.zoom);
+    view.toCartesianCoords = (x, y) => toCartesianCoords(x, y, view.originX, view.originY, view.zoom);
+    return view;
+}
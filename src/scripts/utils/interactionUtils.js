@@ -1,17 +1,20 @@
 // utils/interactionUtils.js
 
 import * as Constants from './constants.js';
-import { toScreenCoords, toCartesianCoords } from './coordinates.js';
+import { toScreenCoords, toCartesianCoords, rotatePoint } from './coordinates.js';
 import { updateTextMetrics } from './textUtils.js';
+import { getCubicBounds, getDistanceToCubic } from './bezierUtils.js';
+import { getGroupOffset, createOffsetView } from './groupUtils.js';
 
 /**
  * Checks if a point (Cartesian) is within the bounds of a rect or image element.
  */
 export function isRectHit(el, cartX, cartY) {
     if (typeof el.width !== 'number' || typeof el.height !== 'number') return false;
-    // Assuming el.x, el.y are the *center* coordinates
-    return cartX >= el.x - el.width / 2 && cartX <= el.x + el.width / 2 &&
-           cartY >= el.y - el.height / 2 && cartY <= el.y + el.height / 2;
+    // Assuming el.x, el.y are the *center* coordinates; test in the element's unrotated space
+    const local = el.rotation ? rotatePoint(cartX, cartY, el.x, el.y, -el.rotation) : { x: cartX, y: cartY };
+    return local.x >= el.x - el.width / 2 && local.x <= el.x + el.width / 2 &&
+           local.y >= el.y - el.height / 2 && local.y <= el.y + el.height / 2;
 }
 
 /**
@@ -19,36 +22,77 @@ export function isRectHit(el, cartX, cartY) {
  * Needs the renderer instance to access coordinate conversion and context.
  */
 export function isTextHit(renderer, el, screenX, screenY) {
-    // Ensure metrics are calculated if they haven't been
-    if (typeof el.paddedWidth === 'undefined') {
-        updateTextMetrics(renderer.ctx, el);
-    }
-    const { left, top, width, height } = getElementScreenBounds(renderer, el);
-    if (left === null) return false; // Should not happen if metrics are updated
+    // getTextBounds makes sure the metrics are calculated
+    const box = getTextBounds(renderer, el);
+    const cartesian = toCartesianCoords(screenX, screenY, renderer.originX, renderer.originY, renderer.zoom);
+    // Test in the element's unrotated space
+    const local = el.rotation
+        ? rotatePoint(cartesian.x, cartesian.y, (box.minX + box.maxX) / 2, (box.minY + box.maxY) / 2, -el.rotation)
+        : cartesian;
+    return local.x >= box.minX && local.x <= box.maxX &&
+           local.y >= box.minY && local.y <= box.maxY;
+}
+
+/**
+ * Checks if a point (Cartesian) is on a bezier element's stroke, within a screen-pixel tolerance.
+ * Needs the renderer instance for the current zoom.
+ */
+export function isBezierHit(renderer, el, cartX, cartY) {
+    if (!Array.isArray(el.points) || el.points.length !== 4) return false;
+    const tolerance = (el.lineWidth || 1) / 2 + Constants.BEZIER_HIT_TOLERANCE / renderer.zoom;
+    return getDistanceToCubic(el.points, cartX, cartY) <= tolerance;
+}
 
-    return screenX >= left && screenX <= left + width &&
-           screenY >= top && screenY <= top + height;
+// Where each resize handle sits on an element's bounding box, as fractions of its screen width/height
+const HANDLE_POSITIONS = {
+    nw: [0, 0], n: [0.5, 0], ne: [1, 0],
+    w: [0, 0.5], e: [1, 0.5],
+    sw: [0, 1], s: [0.5, 1], se: [1, 1]
+};
+
+/**
+ * Returns the resize handles an element offers: all eight for rects and (sized) images; for text
+ * only the corners and sides, since its height follows its wrapped lines. Other types aren't resizable.
+ */
+export function getResizeHandleTypes(element) {
+    if (element.type === 'text') return ['nw', 'ne', 'w', 'e', 'sw', 'se'];
+    if ((element.type === 'rect' || element.type === 'image') &&
+        typeof element.width === 'number' && typeof element.height === 'number') {
+        return Object.keys(HANDLE_POSITIONS);
+    }
+    return [];
 }
 
 /**
- * Gets the screen coordinates and dimensions of resize handles for an element.
+ * Gets the screen positions of an element's resize handles, placed on its (rotated) box.
  * Needs the renderer instance for coordinate conversion.
  */
 export function getResizeHandles(renderer, element) {
-    // Only images are resizable in this implementation
-    if (element.type !== 'image' || typeof element.width !== 'number') return [];
-
-    const screenCenter = toScreenCoords(element.x, element.y, renderer.originX, renderer.originY);
-    const halfW = element.width / 2;
-    const halfH = element.height / 2;
-
-    // Define handles relative to screen center
-    return [
-        { type: 'nw', x: screenCenter.x - halfW, y: screenCenter.y - halfH }, // Top-left
-        { type: 'ne', x: screenCenter.x + halfW, y: screenCenter.y - halfH }, // Top-right
-        { type: 'sw', x: screenCenter.x - halfW, y: screenCenter.y + halfH }, // Bottom-left
-        { type: 'se', x: screenCenter.x + halfW, y: screenCenter.y + halfH }  // Bottom-right
-    ];
+    return getResizeHandleTypes(element).map(type => {
+        const point = getElementBoxPoint(renderer, element, ...HANDLE_POSITIONS[type]);
+        if (!point) return null; // Size unknown
+        const screen = toScreenCoords(point.x, point.y, renderer.originX, renderer.originY, renderer.zoom);
+        return { type, x: screen.x, y: screen.y };
+    }).filter(Boolean);
+}
+
+/**
+ * Gets the rotate handle of a rotatable element: { type: 'rotate', x, y } in screen pixels,
+ * ROTATE_HANDLE_OFFSET pixels out from the middle of its top edge (turning with the element),
+ * plus that edge point as `base`. Returns null for other elements.
+ */
+export function getRotateHandle(renderer, element) {
+    const top = isRotatable(element) ? getElementBoxPoint(renderer, element, 0.5, 0) : null;
+    if (!top) return null;
+    const base = toScreenCoords(top.x, top.y, renderer.originX, renderer.originY, renderer.zoom);
+    // The element's "up" direction on screen (screen Y points down)
+    const radians = (element.rotation || 0) * Math.PI / 180;
+    return {
+        type: 'rotate',
+        x: base.x - Math.sin(radians) * Constants.ROTATE_HANDLE_OFFSET,
+        y: base.y - Math.cos(radians) * Constants.ROTATE_HANDLE_OFFSET,
+        base
+    };
 }
 
 /**
@@ -66,9 +110,10 @@ export function isHandleHit(screenX, screenY, handle) {
  * Needs the renderer instance.
  */
 export function getHandleAtScreenCoords(renderer, screenX, screenY, element) {
-    if (!element || element.type !== 'image') return null; // Only check handles for selected images
+    if (!element) return null;
 
-    const handles = getResizeHandles(renderer, element);
+    // The rotate handle sits outside the box, so it never overlaps a resize handle
+    const handles = [getRotateHandle(renderer, element), ...getResizeHandles(renderer, element)].filter(Boolean);
     for (const handle of handles) {
         if (isHandleHit(screenX, screenY, handle)) {
             return handle; // Return the handle object { type, x, y }
@@ -83,9 +128,9 @@ export function getHandleAtScreenCoords(renderer, screenX, screenY, element) {
  * Needs the renderer instance.
  */
 export function getElementAtScreenCoords(renderer, screenX, screenY) {
-    // Check if the click is on the editing overlay first
-    const overlay = document.querySelector('.edit-overlay');
-    if (overlay && renderer.editingElement) {
+    // Check if the click is on the editing overlay first (there is no page, and no editing, headless)
+    const overlay = renderer.interactive && renderer.editingElement ? document.querySelector('.edit-overlay') : null;
+    if (overlay) {
         const overlayRect = overlay.getBoundingClientRect();
          // Adjust screen coords relative to viewport if canvas has border/margin
          const canvasRect = renderer.canvas.getBoundingClientRect();
@@ -99,8 +144,8 @@ export function getElementAtScreenCoords(renderer, screenX, screenY) {
     }
 
 
-    // Check handles of the *selected* element first (only images are resizable here)
-    if (renderer.selectedElement && renderer.selectedElement.type === 'image') {
+    // Check handles of the *selected* element first (only a single selection gets handles)
+    if (renderer.selectedElement && renderer.selectedElement !== renderer.editingElement) {
         const handleInfo = getHandleAtScreenCoords(renderer, screenX, screenY, renderer.selectedElement);
         if (handleInfo) {
             // Return an object indicating it's a handle hit
@@ -109,22 +154,27 @@ export function getElementAtScreenCoords(renderer, screenX, screenY) {
     }
 
     // If not hitting a handle or overlay, check elements themselves
-    const cartesian = toCartesianCoords(screenX, screenY, renderer.originX, renderer.originY);
+    const cartesian = toCartesianCoords(screenX, screenY, renderer.originX, renderer.originY, renderer.zoom);
+
+    // Inside an entered group (see setActiveGroup) its children are hit on their own, topmost first
+    if (renderer.activeGroup) {
+        const offset = getGroupOffset(renderer.activeGroup);
+        const view = createOffsetView(renderer, offset.x, offset.y);
+        const child = findGroupChildAt(view, renderer.activeGroup, cartesian.x - offset.x, cartesian.y - offset.y);
+        if (child && child !== renderer.editingElement) return child;
+    }
 
-    // Iterate backwards to hit topmost element first
-    for (let i = renderer.elements.length - 1; i >= 0; i--) {
-        const el = renderer.elements[i];
+    // Only test elements whose bounds contain the point (inflated by the curve hit tolerance), topmost first
+    const tolerance = Constants.BEZIER_HIT_TOLERANCE / renderer.zoom;
+    const candidates = renderer.sortByDrawOrder(renderer.spatialIndex.queryPoint(cartesian.x, cartesian.y, tolerance));
+    for (let i = candidates.length - 1; i >= 0; i--) {
+        const el = candidates[i];
         // Don't hit the element currently being edited (covered by overlay check)
         if (el === renderer.editingElement) continue;
 
-        let hit = false;
-        if (el.type === "text") {
-            hit = isTextHit(renderer, el, screenX, screenY);
-        } else if (el.type === "rect" || el.type === "image") {
-            hit = isRectHit(el, cartesian.x, cartesian.y);
-        }
-
-        if (hit) {
+        // Dispatch to the hit test registered for the element's type
+        const definition = renderer.elementTypes.get(el.type);
+        if (definition && definition.hitTest(renderer, el, cartesian.x, cartesian.y)) {
             return el; // Return the element object itself
         }
     }
@@ -132,61 +182,223 @@ export function getElementAtScreenCoords(renderer, screenX, screenY) {
     return null; // Nothing hit
 }
 
+/**
+ * Calculates the Cartesian bounds of a text element from its metrics and alignment.
+ * Needs the renderer instance for text measurement.
+ */
+export function getTextBounds(renderer, element) {
+    // Ensure metrics are up-to-date
+    if (typeof element.paddedWidth === 'undefined') {
+        updateTextMetrics(renderer.ctx, element);
+    }
+    const width = element.paddedWidth;
+    const height = element.paddedHeight;
+    // Left edge based on horizontal alignment (mirrors the drawing logic)
+    let minX;
+    switch (element.textAlign) {
+        case 'left': minX = element.x - element.padding; break;
+        case 'center': minX = element.x - width / 2; break;
+        case 'right': minX = element.x - element.maxWidth - element.padding; break; // Use maxWidth for right alignment ref point
+        default: minX = element.x - width / 2; // Default to center
+    }
+    // Top edge based on vertical alignment (Y is up, so the top edge is maxY)
+    let maxY;
+    switch (element.textBaseline) {
+        case 'top': maxY = element.y + element.padding; break;
+        case 'middle': maxY = element.y + height / 2; break;
+        case 'bottom': maxY = element.y + element.totalHeight + element.padding; break; // Use totalHeight for bottom alignment ref point
+        default: maxY = element.y + height / 2; // Default to middle
+    }
+    return { minX, minY: maxY - height, maxX: minX + width, maxY };
+}
+
+/**
+ * Calculates the Cartesian bounds of a centre-positioned element with width/height (rects, images).
+ * Returns null while the size is unknown.
+ */
+export function getRectBounds(element) {
+    if (typeof element.width !== 'number' || typeof element.height !== 'number') {
+        return null; // Invalid bounds
+    }
+    return {
+        minX: element.x - element.width / 2,
+        minY: element.y - element.height / 2,
+        maxX: element.x + element.width / 2,
+        maxY: element.y + element.height / 2
+    };
+}
+
+/** Calculates the exact Cartesian bounds of a bezier element, grown by half its stroke */
+export function getBezierBounds(element) {
+    if (!Array.isArray(element.points) || element.points.length !== 4) return null;
+    // Exact curve extents, grown by half the stroke so thick curves aren't clipped
+    const curve = getCubicBounds(element.points);
+    const halfStroke = (element.lineWidth || 1) / 2;
+    return {
+        minX: curve.minX - halfStroke,
+        minY: curve.minY - halfStroke,
+        maxX: curve.maxX + halfStroke,
+        maxY: curve.maxY + halfStroke
+    };
+}
+
+// Types whose `rotation` (degrees, counterclockwise) is applied, around the centre of their unrotated box
+const ROTATABLE_TYPES = ['rect', 'image', 'text'];
+
+/** Returns true if an element's type supports rotation */
+export function isRotatable(element) {
+    return ROTATABLE_TYPES.includes(element.type);
+}
+
+/**
+ * Returns the box of an element as if it weren't rotated: rects and images from their centre and
+ * size, text from its metrics; other types just have their regular bounds. Like the element's own
+ * x/y, the box is relative to its group's origin if it is in one.
+ * Returns null while the size is unknown.
+ */
+export function getUnrotatedBounds(renderer, element) {
+    if (element.type === 'text') return getTextBounds(renderer, element);
+    if (element.type === 'rect' || element.type === 'image') return getRectBounds(element);
+    const definition = renderer.elementTypes.get(element.type);
+    return definition ? definition.bounds(renderer, element) : null;
+}
+
+/**
+ * Returns a point on an element's box, rotated with the element, in Cartesian coordinates.
+ * fx/fy are fractions of the box: 0 is the left/top edge, 1 the right/bottom edge.
+ */
+export function getElementBoxPoint(renderer, element, fx, fy) {
+    const box = getUnrotatedBounds(renderer, element);
+    if (!box) return null;
+    const offset = getGroupOffset(element);
+    const x = box.minX + fx * (box.maxX - box.minX);
+    const y = box.maxY - fy * (box.maxY - box.minY); // Y is up, so the top edge is maxY
+    const point = element.rotation
+        ? rotatePoint(x, y, (box.minX + box.maxX) / 2, (box.minY + box.maxY) / 2, element.rotation)
+        : { x, y };
+    return { x: point.x + offset.x, y: point.y + offset.y };
+}
+
+/** Returns the bounds of a box after rotating it around its centre (the box itself when not rotated) */
+export function rotateBounds(bounds, degrees) {
+    if (!bounds || !degrees) return bounds;
+    const centerX = (bounds.minX + bounds.maxX) / 2;
+    const centerY = (bounds.minY + bounds.maxY) / 2;
+    const corners = [
+        rotatePoint(bounds.minX, bounds.minY, centerX, centerY, degrees),
+        rotatePoint(bounds.maxX, bounds.minY, centerX, centerY, degrees),
+        rotatePoint(bounds.maxX, bounds.maxY, centerX, centerY, degrees),
+        rotatePoint(bounds.minX, bounds.maxY, centerX, centerY, degrees)
+    ];
+    return {
+        minX: Math.min(...corners.map(pt => pt.x)),
+        minY: Math.min(...corners.map(pt => pt.y)),
+        maxX: Math.max(...corners.map(pt => pt.x)),
+        maxY: Math.max(...corners.map(pt => pt.y))
+    };
+}
+
+/**
+ * Calculates the Cartesian bounds of a group: its children's bounds (relative to its origin)
+ * combined and moved by the origin. Returns null for a group with nothing measurable in it.
+ */
+export function getGroupBounds(renderer, group) {
+    // The children's own bounds functions, not getElementCartesianBounds: that would add the offset of every group around them
+    const local = group.children
+        .map(child => {
+            const definition = renderer.elementTypes.get(child.type);
+            return definition ? definition.bounds(renderer, child) : null;
+        })
+        .filter(Boolean)
+        .reduce((union, bounds) => (union ? unionBounds(union, bounds) : bounds), null);
+    if (!local) return null;
+    return { minX: local.minX + group.x, minY: local.minY + group.y, maxX: local.maxX + group.x, maxY: local.maxY + group.y };
+}
+
+/**
+ * Returns the topmost child of a group under a point. The point is in the coordinates the group's
+ * own x/y are in, and `renderer` is the renderer (or an offset view) for those coordinates.
+ */
+export function findGroupChildAt(renderer, group, x, y) {
+    const view = createOffsetView(renderer, group.x, group.y);
+    for (let i = group.children.length - 1; i >= 0; i--) {
+        const child = group.children[i];
+        const definition = renderer.elementTypes.get(child.type);
+        if (definition && definition.hitTest(view, child, x - group.x, y - group.y)) return child;
+    }
+    return null;
+}
+
+/**
+ * Calculates the Cartesian bounding box of an element as { minX, minY, maxX, maxY },
+ * using the bounds function registered for its type (moved out of any groups it is in).
+ * Returns null if the element has no measurable bounds (e.g. an image with unknown size).
+ */
+export function getElementCartesianBounds(renderer, element) {
+    const definition = renderer.elementTypes.get(element.type);
+    if (!definition) return null; // Unknown type
+    const bounds = definition.bounds(renderer, element);
+    const offset = getGroupOffset(element);
+    if (!bounds || (offset.x === 0 && offset.y === 0)) return bounds;
+    return { minX: bounds.minX + offset.x, minY: bounds.minY + offset.y, maxX: bounds.maxX + offset.x, maxY: bounds.maxY + offset.y };
+}
+
+/** Returns the smallest rectangle containing both a and b */
+export function unionBounds(a, b) {
+    return {
+        minX: Math.min(a.minX, b.minX),
+        minY: Math.min(a.minY, b.minY),
+        maxX: Math.max(a.maxX, b.maxX),
+        maxY: Math.max(a.maxY, b.maxY)
+    };
+}
+
+/** Returns the combined Cartesian bounds of the selected elements, or null if there are none */
+export function getSelectionBounds(renderer) {
+    return [...renderer.selection]
+        .map(el => getElementCartesianBounds(renderer, el))
+        .filter(Boolean)
+        .reduce((union, bounds) => (union ? unionBounds(union, bounds) : bounds), null);
+}
+
+/**
+ * Resolves an export region to Cartesian bounds, or null if it is empty:
+ *   'content'  - everything on the board
+ *   'selection' - the selected elements
+ *   'viewport' - what is currently on screen
+ *   { minX, minY, maxX, maxY } - an explicit Cartesian rectangle
+ */
+export function getRegionBounds(renderer, region = 'content') {
+    if (region === 'content') return renderer.getContentBounds();
+    if (region === 'selection') {
+        return getSelectionBounds(renderer);
+    }
+    if (region === 'viewport') return renderer.getViewportBounds();
+    if (region && typeof region === 'object' && region.maxX > region.minX && region.maxY > region.minY) {
+        return region;
+    }
+    return null;
+}
+
 /**
  * Calculates the screen bounding box of an element.
  * Needs the renderer instance.
  */
 export function getElementScreenBounds(renderer, element) {
-    const pos = toScreenCoords(element.x, element.y, renderer.originX, renderer.originY);
-    let left, top, width, height;
-
-    if (element.type === "text") {
-        // Ensure metrics are up-to-date
-        if (typeof element.paddedWidth === 'undefined') {
-            updateTextMetrics(renderer.ctx, element);
-        }
-        width = element.paddedWidth;
-        height = element.paddedHeight;
-        // Calculate top-left corner based on alignment
-        switch (element.textAlign) {
-            case 'left': left = pos.x - element.padding; break;
-            case 'center': left = pos.x - width / 2; break;
-            case 'right': left = pos.x - element.maxWidth - element.padding; break; // Use maxWidth for right alignment ref point
-            default: left = pos.x - width / 2; // Default to center
-        }
-        switch (element.textBaseline) {
-            case 'top': top = pos.y - element.padding; break;
-            case 'middle': top = pos.y - height / 2; break;
-            case 'bottom': top = pos.y - element.totalHeight - element.padding; break; // Use totalHeight for bottom alignment ref point
-            default: top = pos.y - height / 2; // Default to middle
-        }
-    } else if (element.type === "rect" || element.type === "image") {
-        if (typeof element.width !== 'number' || typeof element.height !== 'number') {
-            return { left: null, top: null, width: 0, height: 0 }; // Invalid bounds
-        }
-        width = element.width;
-        height = element.height;
-        left = pos.x - width / 2; // Center X to Left
-        top = pos.y - height / 2; // Center Y to Top
-    } else {
-        return { left: null, top: null, width: 0, height: 0 }; // Unknown type
+    const cartBounds = getElementCartesianBounds(renderer, element);
+    if (!cartBounds) {
+        return { left: null, top: null, width: 0, height: 0 }; // Invalid or unknown bounds
     }
 
-    // Add extra margin for selection handles/border if the element is selected
-    // Only for images in this implementation
-    if (element === renderer.selectedElement && element.type === 'image') {
-        const handleMargin = Constants.HANDLE_SIZE / 2;
-        const borderMargin = Constants.SELECTION_LINE_WIDTH;
-        const totalMargin = handleMargin + borderMargin + 1; // Add a small buffer
-        left -= totalMargin;
-        top -= totalMargin;
-        width += totalMargin * 2;
-        height += totalMargin * 2;
-    }
+    // Top-left on screen is the Cartesian (minX, maxY) corner
+    const topLeft = toScreenCoords(cartBounds.minX, cartBounds.maxY, renderer.originX, renderer.originY, renderer.zoom);
+    const width = (cartBounds.maxX - cartBounds.minX) * renderer.zoom;
+    const height = (cartBounds.maxY - cartBounds.minY) * renderer.zoom;
 
+    // Selection handles are drawn on the interaction overlay, so no extra margin is needed here
      return {
-        left: Math.floor(left),
-        top: Math.floor(top),
+        left: Math.floor(topLeft.x),
+        top: Math.floor(topLeft.y),
         width: Math.ceil(width),
         height: Math.ceil(height)
      };
@@ -194,31 +406,32 @@ export function getElementScreenBounds(renderer, element) {
 
 
 /**
- * Calculates new dimensions and position during resize.
+ * Calculates new dimensions and position during resize. `original` is the centre box
+ * { x, y, width, height } (Cartesian) when the resize started; the result has the same shape.
+ * The side or corner opposite the handle stays put, or with `fromCenter` the centre does (the
+ * size then changes twice as fast). `maintainAspect` keeps the original width/height ratio.
+ * For a rotated element pass its `rotation` in `original`; sizes are measured along its own axes.
  * Needs the renderer instance for coordinate conversion.
  */
-export function calculateNewDimensions(renderer, handleType, currentMouseX, currentMouseY, startMouse, original, maintainAspect) {
-    const currentCart = toCartesianCoords(currentMouseX, currentMouseY, renderer.originX, renderer.originY);
-    const startCart = toCartesianCoords(startMouse.x, startMouse.y, renderer.originX, renderer.originY);
-
-    // Deltas in Cartesian coordinates indicate the direction and magnitude of mouse movement
-    const deltaX = currentCart.x - startCart.x;
-    const deltaY = currentCart.y - startCart.y;
-
-    let newX = original.x;
-    let newY = original.y;
-    let newWidth = original.width;
-    let newHeight = original.height;
-
-    const aspect = (original.height > 0) ? original.width / original.height : 1;
-
-    // Adjust width/height based on handle and delta
+export function calculateNewDimensions(renderer, handleType, currentMouseX, currentMouseY, startMouse, original, maintainAspect, fromCenter = false) {
+    const currentCart = toCartesianCoords(currentMouseX, currentMouseY, renderer.originX, renderer.originY, renderer.zoom);
+    const startCart = toCartesianCoords(startMouse.x, startMouse.y, renderer.originX, renderer.originY, renderer.zoom);
+
+    // Deltas in Cartesian coordinates indicate the direction and magnitude of mouse movement,
+    // turned back by the element's rotation so they run along its own axes
+    const rotation = original.rotation || 0;
+    const delta = rotatePoint(currentCart.x - startCart.x, currentCart.y - startCart.y, 0, 0, -rotation);
+    const deltaX = delta.x;
+    const deltaY = delta.y;
+
+    // Which way each axis grows: +1 east/north, -1 west/south, 0 for the axis an edge handle doesn't move
     // Note: signs depend on Cartesian system (positive Y is up)
-    if (handleType.includes('e')) newWidth += deltaX; // East handles affect width positively with deltaX
-    if (handleType.includes('w')) newWidth -= deltaX; // West handles affect width negatively with deltaX
+    const dirX = handleType.includes('e') ? 1 : handleType.includes('w') ? -1 : 0;
+    const dirY = handleType.includes('n') ? 1 : handleType.includes('s') ? -1 : 0;
+    const growth = fromCenter ? 2 : 1; // Both sides move when resizing from the centre
 
-    if (handleType.includes('n')) newHeight += deltaY; // North handles affect height positively with deltaY
-    if (handleType.includes('s')) newHeight -= deltaY; // South handles affect height negatively with deltaY
+    let newWidth = original.width + dirX * deltaX * growth;
+    let newHeight = original.height + dirY * deltaY * growth;
 
     // Enforce minimum size
     newWidth = Math.max(Constants.MIN_RESIZE_SIZE, newWidth);
@@ -226,43 +439,44 @@ export function calculateNewDimensions(renderer, handleType, currentMouseX, curr
 
     // Maintain aspect ratio if requested
     if (maintainAspect && original.width > 0 && original.height > 0) {
-        // Determine dominant change direction (or use width change as default)
-        // We compare the *scaled* deltas to account for aspect ratio
-        if (Math.abs(deltaX / original.width) > Math.abs(deltaY / original.height)) {
-             // Width change is dominant
-             newHeight = newWidth / aspect;
+        const aspect = original.width / original.height;
+        // Edge handles drive their own axis; corners follow whichever axis changed most
+        // (compared relative to the original size, so the aspect ratio doesn't bias it)
+        const widthLeads = dirY === 0 ||
+            (dirX !== 0 && Math.abs(deltaX / original.width) > Math.abs(deltaY / original.height));
+        if (widthLeads) {
+            newHeight = newWidth / aspect;
         } else {
-             // Height change is dominant
-             newWidth = newHeight * aspect;
+            newWidth = newHeight * aspect;
         }
-         // Re-check min size after aspect ratio adjustment
-         newWidth = Math.max(Constants.MIN_RESIZE_SIZE, newWidth);
-         newHeight = Math.max(Constants.MIN_RESIZE_SIZE, newHeight);
+        // Re-check min size after aspect ratio adjustment
+        newWidth = Math.max(Constants.MIN_RESIZE_SIZE, newWidth);
+        newHeight = Math.max(Constants.MIN_RESIZE_SIZE, newHeight);
     }
 
+    if (fromCenter) {
+        return { x: original.x, y: original.y, width: newWidth, height: newHeight };
+    }
 
-    // Calculate the new center coordinates (x, y) based on the handle being dragged
-    // The fixed point is the corner *opposite* the handle being dragged.
-    // Calculate the change in half-width and half-height
-    const dw = (newWidth - original.width) / 2;
-    const dh = (newHeight - original.height) / 2;
-
-    // Adjust center based on which handle was moved
-    if (handleType.includes('w')) newX -= dw; else newX += dw; // West moves center left, East moves center right
-    if (handleType.includes('n')) newY += dh; else newY -= dh; // North moves center up, South moves center down
-
-
-    return { x: newX, y: newY, width: newWidth, height: newHeight };
+    // Keep the side opposite the handle fixed: the centre moves half the size change towards the handle.
+    // An axis the handle doesn't touch stays centred (it only changes size to keep the aspect ratio).
+    // The shift is along the element's axes, so rotate it back into Cartesian space.
+    const shift = rotatePoint(dirX * (newWidth - original.width) / 2, dirY * (newHeight - original.height) / 2, 0, 0, rotation);
+    return { x: original.x + shift.x, y: original.y + shift.y, width: newWidth, height: newHeight };
 }
 
+// Direction each resize handle pushes, in degrees counterclockwise from east
+const HANDLE_ANGLES = { e: 0, ne: 45, n: 90, nw: 135, w: 180, sw: 225, s: 270, se: 315 };
+// Resize cursors for each 45 degree step (opposite directions share a cursor)
+const RESIZE_CURSORS = ['ew-resize', 'nesw-resize', 'ns-resize', 'nwse-resize'];
+
 /**
- * Returns the appropriate CSS cursor style for a resize handle type.
+ * Returns the appropriate CSS cursor style for a handle type, turned to match the element's
+ * rotation (in degrees) so the arrows follow the handle.
  */
-export function getResizeCursor(handleType) {
-    // Standard cursor names for resize handles
-    const cursors = {
-        'nw': 'nwse-resize', 'ne': 'nesw-resize',
-        'sw': 'nesw-resize', 'se': 'nwse-resize'
-    };
-    return cursors[handleType] || 'default'; // Default cursor if handle type is unknown
-}
\ No newline at end of file
+export function getResizeCursor(handleType, rotation = 0) {
+    if (handleType === 'rotate') return 'grab';
+    if (!(handleType in HANDLE_ANGLES)) return 'default'; // Default cursor if handle type is unknown
+    const step = Math.round((HANDLE_ANGLES[handleType] + rotation) / 45);
+    return RESIZE_CURSORS[((step % 4) + 4) % 4];
+}
@@ -62,18 +62,35 @@ export function updateTextMetrics(ctx, el) {
     ctx.restore();
 }
 
+/**
+ * Re-wraps a text element's lines (at its wrap width, if it has one) and updates its metrics.
+ * Call after changing its text or anything that affects how it measures (font, padding, width).
+ */
+export function layoutText(ctx, el) {
+    const maxWidth = el.width && el.width > 0 ? el.width : null;
+    if (maxWidth) {
+        el.lines = wrapText(ctx, el.text, maxWidth, el.fontSize, el.fontFamily, el.fontStyle, el.fontWeight);
+    } else {
+        el.lines = el.text.split('\n'); // Simple split if no fixed width
+    }
+    updateTextMetrics(ctx, el);
+}
+
+/** Default text options. Its keys are also the full list of authored text styling properties */
+export const TEXT_DEFAULTS = {
+    color: "black", fontSize: 16, fontFamily: "sans-serif",
+    fontWeight: "normal", fontStyle: "normal",
+    textAlign: "center", textBaseline: "middle",
+    lineHeight: 1.2, padding: 0, background: null, width: null, // Cartesian width for wrapping
+    borderColor: "black", borderWidth: 0, borderStyle: "solid",
+    rotation: 0 // Degrees, counterclockwise around the centre of the text box
+};
+
 /**
  * Validates text options and applies defaults.
  */
 export function validateTextOptions(id, options) {
-    const defaults = {
-        color: "black", fontSize: 16, fontFamily: "sans-serif",
-        fontWeight: "normal", fontStyle: "normal",
-        textAlign: "center", textBaseline: "middle",
-        lineHeight: 1.2, padding: 0, background: null, width: null, // Cartesian width for wrapping
-        borderColor: "black", borderWidth: 0, borderStyle: "solid"
-    };
-    const config = { ...defaults, ...options };
+    const config = { ...TEXT_DEFAULTS, ...options };
 
     // Validation logic (optional but good practice)
     const validWeights = ['normal', 'bold', 'bolder', 'lighter', '100', '200', '300', '400', '500', '600', '700', '800', '900'];